@@ -0,0 +1,191 @@
+#!/usr/bin/env node
+// coopernoise CLI — currently one command: `render` (headless Puppeteer + native ffmpeg).
+import fs from 'node:fs';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { render } from './render.js';
+import { parseProject } from '../src/project.js';
+import { EXPORT_PRESETS } from '../src/presets.js';
+import { parseCueFile } from '../src/cues.js';
+import { TRANSITION_MODES, normalizeTransition } from '../src/morph.js';
+import { CAMERA_MODES, normalizeCamera } from '../src/camera.js';
+
+const USAGE = `Usage: coopernoise render [options]
+
+  --project <file>    project JSON saved from the UI; the flags below override it
+                      (its track and assets are looked up next to the project file)
+  --audio <file>      track to render against (omit for a silent procedural-grid render)
+  --map <file>        albedo texture (image or video; video is seeked to render time)
+  --disp <file>       displacement map image
+  --cues <file>       text overlay cues: LRC lyrics, SRT subtitles or the UI's cue list
+  --logo <file>       logo image drawn in a corner of the overlay
+  --model <file>      glTF / GLB / OBJ model used as a shape, repeatable; a .gltf finds
+                      its .bin files next to it. Select one with --shape model:<file name>,
+                      otherwise imported models join the auto-cycle
+  --subdivide <n>     subdivision of --model meshes: auto | 0 | 1 | 2 | 3 (default auto)
+  --seed <str>        project seed (default 123456)
+  --prompt <text>     style prompt, same keywords as the UI
+  --shape <name>      cycle | sphere | icosa | torus | plane | box | model:<file name>
+                      (default cycle)
+  --transition <mode> shape changes: ${TRANSITION_MODES.join(' | ')} (default morph)
+  --transition-beats <n>
+                      transition length in beats (default 4)
+  --transition-downbeat
+                      shapeBias keyframes wait for the next bar before transitioning
+  --camera <mode>     ${CAMERA_MODES.join(' | ')} (default orbit)
+  --camera-cuts <n>   cut to a new preset camera angle every n beats (default 0 = off)
+  --camera-shake <n>  handheld shake on top of the camera mode, 0–1 (default 0)
+  --res <WxH>         output size (default 1920x1080; 1080x1920, 1080x1080, 1080x1350
+                      and other aspects reframe the camera automatically)
+  --fps <n>           frames per second, 24–120 (default 60)
+  --in <s>            in offset into the track (default 0)
+  --out-offset <s>    seconds trimmed from the end of the track (default 0)
+  --duration <s>      length in seconds (default: rest of the track, or 60)
+  --bpm <n>           beat grid when no --audio is given (default 112)
+  --bands <n>         spectral bands for band routing, 1–32 (default 3: low/mid/high)
+  --out <file>        output path; without --preset the extension picks one
+                      (.mp4 youtube, .mov master, .webm, .gif, .webp; a directory or
+                      frame_%06d.png pattern for a PNG sequence)
+  --preset <name>     ${Object.keys(EXPORT_PRESETS).join(' | ')}
+  --crf <n>           quality override (CRF; q:v for mpeg4, quality 0–100 for webp)
+  --bitrate <rate>    video bitrate, e.g. 8M (h264/mpeg4 use it instead of CRF)
+  --pix-fmt <fmt>     pixel format override, e.g. yuv420p, yuv422p10le
+  --audio-codec <c>   aac | opus | pcm_s16le | pcm_s24le | none
+  --audio-bitrate <r> e.g. 320k (aac / opus)
+  --cpu-noise         displace vertices on the CPU instead of in the shader
+                      (automatic when the headless browser has no WebGL2)
+  --ffmpeg <path>     ffmpeg binary (default: ffmpeg on PATH)
+  -v, --verbose       log page console and ffmpeg arguments
+`;
+
+const DEFAULTS = { seed: '123456', prompt: '', shape: 'cycle', res: '1920x1080', fps: '60', in: '0', 'out-offset': '0', bpm: '112', bands: '3' };
+
+function fail(msg) {
+  console.error(`coopernoise: ${msg}\n\n${USAGE}`);
+  process.exit(2);
+}
+
+// Settings from a project file; explicit flags override them afterwards.
+function fromProject(file) {
+  const pr = parseProject(fs.readFileSync(file, 'utf8'));
+  const dir = path.dirname(path.resolve(file));
+  const uploaded = pr.audio.source === 'uploaded' && pr.audio.track;
+  return {
+    audio: uploaded ? path.resolve(dir, pr.audio.track) : undefined,
+    map: pr.assets.map ? path.resolve(dir, pr.assets.map) : undefined,
+    disp: pr.assets.disp ? path.resolve(dir, pr.assets.disp) : undefined,
+    logo: pr.assets.logo ? path.resolve(dir, pr.assets.logo) : undefined,
+    models: pr.assets.models.map(m => ({ file: path.resolve(dir, m.name), subdivide: m.subdivide })),
+    overlay: pr.overlay, cueList: pr.overlay.cues,
+    seed: pr.seed, prompt: pr.prompt, style: pr.style, timeline: pr.timeline, modRoutes: pr.modRoutes, sections: pr.sections, shape: pr.shape,
+    transition: pr.transition.mode, 'transition-beats': String(pr.transition.beats), 'transition-downbeat': pr.transition.downbeat,
+    camera: pr.camera.mode, 'camera-cuts': String(pr.camera.cutEvery), 'camera-shake': String(pr.camera.shake), cameraKeys: pr.camera.keys,
+    res: `${pr.resolution.w}x${pr.resolution.h}`, fps: String(pr.fps),
+    in: String(pr.inOffset), 'out-offset': String(pr.outOffset),
+    duration: uploaded && pr.useTrackLen ? undefined : String(pr.duration),
+    bpm: String(pr.audio.bpm), bands: String(pr.audio.bands),
+    // 'auto' is the UI's native recording; headless falls back to the --out extension
+    preset: pr.export.preset !== 'auto' ? pr.export.preset : undefined,
+    crf: pr.export.crf ?? undefined, bitrate: pr.export.bitrate ?? undefined, 'pix-fmt': pr.export.pixFmt ?? undefined,
+    'audio-codec': pr.export.audioCodec ?? undefined, 'audio-bitrate': pr.export.audioBitrate ?? undefined
+  };
+}
+
+async function main(argv) {
+  const { values: flags, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      project: { type: 'string' },
+      audio: { type: 'string' },
+      map: { type: 'string' },
+      disp: { type: 'string' },
+      cues: { type: 'string' },
+      logo: { type: 'string' },
+      model: { type: 'string', multiple: true },
+      subdivide: { type: 'string' },
+      seed: { type: 'string' },
+      prompt: { type: 'string' },
+      shape: { type: 'string' },
+      transition: { type: 'string' },
+      'transition-beats': { type: 'string' },
+      'transition-downbeat': { type: 'boolean' },
+      camera: { type: 'string' },
+      'camera-cuts': { type: 'string' },
+      'camera-shake': { type: 'string' },
+      res: { type: 'string' },
+      fps: { type: 'string' },
+      in: { type: 'string' },
+      'out-offset': { type: 'string' },
+      duration: { type: 'string' },
+      bpm: { type: 'string' },
+      bands: { type: 'string' },
+      out: { type: 'string' },
+      preset: { type: 'string' },
+      crf: { type: 'string' },
+      bitrate: { type: 'string' },
+      'pix-fmt': { type: 'string' },
+      'audio-codec': { type: 'string' },
+      'audio-bitrate': { type: 'string' },
+      'cpu-noise': { type: 'boolean', default: false },
+      ffmpeg: { type: 'string', default: process.env.FFMPEG_PATH || 'ffmpeg' },
+      verbose: { type: 'boolean', short: 'v', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  if (flags.help) { console.log(USAGE); return; }
+  if (positionals[0] !== 'render') fail(positionals[0] ? `unknown command "${positionals[0]}"` : 'missing command');
+  if (!flags.out) fail('--out is required');
+
+  const values = { ...DEFAULTS, ...(flags.project ? fromProject(flags.project) : {}) };
+  for (const [k, v] of Object.entries(flags)) if (v !== undefined) values[k] = v;
+  // A prompt given on the command line replaces the project's resolved style.
+  if (flags.prompt !== undefined) values.style = null;
+
+  const m = /^(\d+)x(\d+)$/.exec(values.res);
+  if (!m) fail(`--res must look like 1920x1080, got "${values.res}"`);
+  const fps = parseInt(values.fps, 10);
+  if (!Number.isFinite(fps) || fps < 24 || fps > 120) fail('--fps must be between 24 and 120');
+  const duration = values.duration !== undefined ? parseFloat(values.duration) : null;
+  if (duration !== null && !(duration > 0)) fail('--duration must be a positive number');
+  const bands = parseInt(values.bands, 10);
+  if (!(bands >= 1 && bands <= 32)) fail('--bands must be between 1 and 32');
+
+  if (values.preset !== undefined && !EXPORT_PRESETS[values.preset]) fail(`unknown --preset "${values.preset}"`);
+  const crf = values.crf !== undefined ? parseFloat(values.crf) : undefined;
+  if (crf !== undefined && !(crf >= 0)) fail('--crf must be a non-negative number');
+
+  if (flags.subdivide !== undefined && !['auto', '0', '1', '2', '3'].includes(flags.subdivide)) fail('--subdivide must be auto, 0, 1, 2 or 3');
+  // --model replaces the project's models
+  const models = flags.model ? flags.model.map(file => ({ file, subdivide: flags.subdivide || 'auto' })) : values.models || [];
+
+  if (values.transition !== undefined && !TRANSITION_MODES.includes(values.transition)) fail(`unknown --transition "${values.transition}"`);
+  const transition = normalizeTransition({ mode: values.transition, beats: values['transition-beats'], downbeat: !!values['transition-downbeat'] });
+
+  if (values.camera !== undefined && !CAMERA_MODES.includes(values.camera)) fail(`unknown --camera "${values.camera}"`);
+  const camera = normalizeCamera({ mode: values.camera, cutEvery: values['camera-cuts'], shake: values['camera-shake'], keys: values.cameraKeys });
+
+  let cues = values.cueList || [];
+  if (values.cues !== undefined) {
+    if (!fs.existsSync(values.cues)) fail(`cue file not found: ${values.cues}`);
+    cues = parseCueFile(values.cues, fs.readFileSync(values.cues, 'utf8'));
+  }
+
+  const t0 = Date.now();
+  const res = await render({
+    audio: values.audio, map: values.map, disp: values.disp, logo: values.logo, models, transition, camera, overlay: values.overlay || {}, cues, seed: values.seed, prompt: values.prompt, style: values.style || null, timeline: values.timeline || [], modRoutes: values.modRoutes || [], sections: values.sections || [], shape: values.shape,
+    w: parseInt(m[1], 10), h: parseInt(m[2], 10), fps,
+    inOffset: Math.max(0, parseFloat(values.in) || 0), outOffset: Math.max(0, parseFloat(values['out-offset']) || 0),
+    duration, bpm: parseInt(values.bpm, 10) || 112, bands,
+    gpuNoise: values['cpu-noise'] ? false : null,
+    out: values.out, preset: values.preset, crf, bitrate: values.bitrate, pixFmt: values['pix-fmt'], audioCodec: values['audio-codec'], audioBitrate: values['audio-bitrate'],
+    ffmpegPath: values.ffmpeg, verbose: values.verbose
+  });
+  console.log(`wrote ${res.out} (${res.preset}) — ${res.frames} frames, ${res.duration.toFixed(2)}s, in ${((Date.now() - t0) / 1000).toFixed(1)}s`);
+}
+
+main(process.argv.slice(2)).catch((e) => {
+  console.error(`coopernoise: ${e.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,142 @@
+// Headless render: serve the repo over HTTP, drive render.html in Puppeteer frame by frame,
+// pipe PNG frames into a native ffmpeg process and mux the original audio file.
+import http from 'node:http';
+import fs from 'node:fs';
+import path from 'node:path';
+import { spawn } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { resolvePreset, presetForExtension, outputArgs } from '../src/presets.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const MIME = { '.html': 'text/html', '.js': 'text/javascript', '.css': 'text/css', '.json': 'application/json' };
+
+// Static server for the repo plus user files mounted at fixed paths (/__audio, /__map, /__disp, /__logo).
+// Mounts ending in "/" are directories (models, so a .gltf can load the .bin files next to it).
+function serve(mounts) {
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const dir = Object.keys(mounts).find(k => k.endsWith('/') && url.pathname.startsWith(k));
+    let file;
+    if (mounts[url.pathname]) file = mounts[url.pathname];
+    else if (dir) {
+      file = path.join(mounts[dir], decodeURIComponent(url.pathname.slice(dir.length)));
+      if (!file.startsWith(mounts[dir] + path.sep)) { res.writeHead(403); return res.end(); }
+    } else {
+      file = path.join(ROOT, decodeURIComponent(url.pathname));
+      if (!file.startsWith(ROOT + path.sep)) { res.writeHead(403); return res.end(); }
+    }
+    fs.stat(file, (err, st) => {
+      if (err || !st.isFile()) { res.writeHead(404); return res.end(); }
+      res.writeHead(200, { 'Content-Type': MIME[path.extname(file)] || 'application/octet-stream', 'Content-Length': st.size });
+      fs.createReadStream(file).pipe(res);
+    });
+  });
+  return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+// Output path for PNG sequences: a directory (created) or an explicit %d pattern
+function sequencePattern(out) {
+  if (/%\d*d/.test(out)) { fs.mkdirSync(path.dirname(out), { recursive: true }); return out; }
+  fs.mkdirSync(out.replace(/\.png$/i, ''), { recursive: true });
+  return path.join(out.replace(/\.png$/i, ''), 'frame_%06d.png');
+}
+
+function spawnFFmpeg({ ffmpegPath, fps, spec, audio, start, duration, out, log }) {
+  const args = ['-y', '-loglevel', 'error', '-f', 'image2pipe', '-framerate', String(fps), '-c:v', 'png', '-i', '-'];
+  const hasAudio = !!audio && spec.audioCodec !== 'none';
+  if (hasAudio) args.push('-ss', String(start), '-t', String(duration), '-i', audio, '-map', '0:v', '-map', '1:a');
+  args.push(...outputArgs(spec, { fps, hasAudio, speed: 'medium' }));
+  if (hasAudio) args.push('-shortest');
+  args.push(spec.codec === 'png' ? sequencePattern(out) : out);
+  log(`ffmpeg ${args.join(' ')}`);
+  const proc = spawn(ffmpegPath, args, { stdio: ['pipe', 'inherit', 'inherit'] });
+  const done = new Promise((resolve, reject) => {
+    proc.on('error', (e) => reject(new Error(`Could not start ffmpeg (${ffmpegPath}): ${e.message}`)));
+    proc.on('close', (code) => code === 0 ? resolve() : reject(new Error(`ffmpeg exited with code ${code}`)));
+  });
+  done.catch(() => {});                 // surfaced when awaited; avoid an unhandled rejection meanwhile
+  proc.stdin.on('error', () => {});     // EPIPE after an ffmpeg failure is reported through `done`
+  return { proc, done };
+}
+
+function writeFrame(stream, buf) {
+  return new Promise((resolve, reject) => {
+    if (stream.write(buf)) return resolve();
+    stream.once('drain', resolve);
+    stream.once('error', reject);
+  });
+}
+
+/**
+ * opts: { audio, map, disp, logo, models: [{ file, subdivide }], seed, prompt, style, timeline, modRoutes, sections, overlay, cues, shape, transition, camera, w, h, fps, inOffset, outOffset, duration, bpm, bands, gpuNoise,
+ *         out, preset, crf, bitrate, pixFmt, audioCodec, audioBitrate, ffmpegPath, verbose }
+ * preset defaults to one matching the --out extension (presets.js presetForExtension).
+ */
+export async function render(opts) {
+  const log = opts.verbose ? (m) => console.error(m) : () => {};
+  const audio = opts.audio ? path.resolve(opts.audio) : null;
+  if (audio && !fs.existsSync(audio)) throw new Error(`Audio file not found: ${audio}`);
+  const mounts = {};
+  if (audio) mounts['/__audio'] = audio;
+  for (const slot of ['map', 'disp', 'logo']) {
+    if (!opts[slot]) continue;
+    const file = path.resolve(opts[slot]);
+    if (!fs.existsSync(file)) throw new Error(`${slot} asset not found: ${file}`);
+    mounts[`/__${slot}`] = file;
+  }
+  const models = (opts.models || []).map(({ file, subdivide }, i) => {
+    const abs = path.resolve(file);
+    if (!fs.existsSync(abs)) throw new Error(`model not found: ${abs}`);
+    mounts[`/__model${i}/`] = path.dirname(abs);
+    return { url: `/__model${i}/${encodeURIComponent(path.basename(abs))}`, name: path.basename(abs), subdivide };
+  });
+  const out = path.resolve(opts.out);
+  // an explicit preset must match the --out extension; without one the extension picked it
+  const spec = opts.preset ? resolvePreset(opts.preset, { ...opts, ext: path.extname(out) }) : resolvePreset(presetForExtension(path.extname(out)), opts);
+
+  let puppeteer;
+  try { puppeteer = (await import('puppeteer')).default; }
+  catch { throw new Error('puppeteer is not installed — run `npm install` in the coopernoise directory.'); }
+
+  const server = await serve(mounts);
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const browser = await puppeteer.launch({
+    headless: 'new',
+    // the whole take runs inside one page.evaluate, so CDP calls must not time out (default 180 s)
+    protocolTimeout: 0,
+    args: ['--use-angle=swiftshader', '--enable-unsafe-swiftshader', '--ignore-gpu-blocklist', '--autoplay-policy=no-user-gesture-required']
+  });
+  let ff = null;
+  try {
+    const page = await browser.newPage();
+    page.on('console', (m) => log(`[page] ${m.text()}`));
+    page.on('pageerror', (e) => console.error(`[page error] ${e.message}`));
+    await page.setViewport({ width: opts.w, height: opts.h, deviceScaleFactor: 1 });
+    await page.goto(`${base}/render.html`, { waitUntil: 'load' });
+    await page.waitForFunction('window.coopernoiseReady === true', { timeout: 60_000 });
+
+    const job = await page.evaluate((o) => window.coopernoise.setup(o), {
+      seed: opts.seed, w: opts.w, h: opts.h, prompt: opts.prompt, style: opts.style || null, timeline: opts.timeline || [], modRoutes: opts.modRoutes || [], sections: opts.sections || [], overlay: opts.overlay || {}, cues: opts.cues || [], transition: opts.transition || {}, camera: opts.camera || {}, assets: { map: mounts['/__map'] && '/__map', disp: mounts['/__disp'] && '/__disp', logo: mounts['/__logo'] && '/__logo', models }, shape: opts.shape, bpm: opts.bpm, bands: opts.bands,
+      audioUrl: audio ? '/__audio' : null, inOffset: opts.inOffset, outOffset: opts.outOffset, duration: opts.duration, gpuNoise: opts.gpuNoise ?? null
+    });
+    if (job.ignored.length) console.error(`coopernoise: prompt words not recognized: ${job.ignored.join(', ')}`);
+    const total = Math.max(1, Math.round(job.duration * opts.fps));
+    log(`rendering ${total} frames (${job.duration.toFixed(2)}s from ${job.start.toFixed(2)}s, ${Math.round(job.bpm)} BPM, ${job.gpuNoise ? 'GPU' : 'CPU'} displacement, preset ${spec.name})`);
+
+    ff = spawnFFmpeg({ ffmpegPath: opts.ffmpegPath, fps: opts.fps, spec, audio, start: job.start, duration: job.duration, out, log });
+    await page.exposeFunction('__coopernoiseFrame', async (b64, i) => {
+      await writeFrame(ff.proc.stdin, Buffer.from(b64, 'base64'));
+      if (process.stderr.isTTY) process.stderr.write(`\rframe ${i + 1}/${total}`);
+    });
+
+    const res = await page.evaluate((fps) => window.coopernoise.render({ fps }), opts.fps);
+    if (process.stderr.isTTY) process.stderr.write('\n');
+    ff.proc.stdin.end();
+    await ff.done;
+    return { out, frames: res.frames, duration: job.duration, preset: spec.name };
+  } finally {
+    if (ff && ff.proc.exitCode === null && !ff.proc.stdin.writableEnded) ff.proc.kill();
+    await browser.close();
+    server.close();
+  }
+}
@@ -1,9 +1,56 @@
-// Lightweight offline analysis for uploaded audio: RMS envelope, tempo estimate, beat grid.
+// Lightweight offline analysis for uploaded audio: RMS envelope, band energies, spectral-flux onsets,
+// tempo-following beat tracking, downbeats/bars, a confidence score and song sections.
 export async function decodeArrayBufferToAudio(ctx, arrayBuffer) {
   return await ctx.decodeAudioData(arrayBuffer.slice(0));
 }
 
-export function analyzeBuffer(buffer) {
+// Frequency bands for multi-band reactivity. Levels are mean band power in dB mapped from the
+// AnalyserNode's default [-100, -30] dB range to 0..1, so offline and live values line up.
+export const DEFAULT_BANDS = [
+  { name: 'low', lo: 20, hi: 250 },
+  { name: 'mid', lo: 250, hi: 4000 },
+  { name: 'high', lo: 4000, hi: 16000 }
+];
+const MIN_DB = -100, MAX_DB = -30;
+
+// n log-spaced bands between 20 Hz and 16 kHz (3 → low/mid/high).
+export function makeBands(n = 3) {
+  n = Math.max(1, Math.min(32, n | 0));
+  if (n === 3) return DEFAULT_BANDS.map(b => ({ ...b }));
+  const lo = Math.log(20), hi = Math.log(16000), bands = [];
+  for (let i = 0; i < n; i++) {
+    bands.push({ name: `b${i + 1}`, lo: Math.exp(lo + (hi - lo) * i / n), hi: Math.exp(lo + (hi - lo) * (i + 1) / n) });
+  }
+  return bands;
+}
+
+// Accepts a band count, a [{ name, lo, hi }] list, or nothing (low/mid/high).
+export function normalizeBands(spec) {
+  if (Number.isFinite(+spec) && !Array.isArray(spec)) return makeBands(+spec);
+  if (Array.isArray(spec) && spec.length) {
+    return spec.map((b, i) => ({ name: String(b.name || `b${i + 1}`), lo: Math.max(0, +b.lo || 0), hi: Math.max(+b.lo || 0, +b.hi || 0) }));
+  }
+  return makeBands(3);
+}
+
+/**
+ * Reduce a linear magnitude spectrum (|X| / N, AnalyserNode scaling) to per-band 0..1 levels.
+ * binHz = sampleRate / fftSize. Writes into `out` (length bands.length) and returns it.
+ */
+export function bandLevels(mags, binHz, bands, out = new Float32Array(bands.length)) {
+  for (let b = 0; b < bands.length; b++) {
+    let k0 = Math.max(1, Math.round(bands[b].lo / binHz));
+    let k1 = Math.min(mags.length - 1, Math.round(bands[b].hi / binHz));
+    if (k1 < k0) k1 = k0 = Math.min(mags.length - 1, k0);
+    let p = 0;
+    for (let k = k0; k <= k1; k++) p += mags[k] * mags[k];
+    const db = 10 * Math.log10(p / (k1 - k0 + 1) + 1e-20);
+    out[b] = Math.max(0, Math.min(1, (db - MIN_DB) / (MAX_DB - MIN_DB)));
+  }
+  return out;
+}
+
+export function analyzeBuffer(buffer, { bands: bandSpec } = {}) {
   const sr = buffer.sampleRate;
   const chs = buffer.numberOfChannels;
   const len = buffer.length;
@@ -31,40 +78,66 @@ export function analyzeBuffer(buffer) {
     rms[f] = Math.sqrt(sum / win);
   }
 
-  // Emphasize onsets: simple half-wave rectified diff of RMS + smoothing
+  // Band envelopes and spectral flux from one Blackman-windowed FFT per frame.
+  // Bands are lightly smoothed like the live analyser; flux sums the rises in log magnitude.
+  const bands = normalizeBands(bandSpec);
+  const bandEnv = bands.map(() => new Float32Array(nFrames));
   const flux = new Float32Array(nFrames);
-  for (let i = 1; i < nFrames; i++) {
-    const d = rms[i] - rms[i-1];
-    flux[i] = d > 0 ? d : 0;
-  }
-  smoothInPlace(flux, 5);
-
-  // Tempo estimate via autocorrelation over BPM range
-  const bpmMin = 70, bpmMax = 180;
-  let bestBpm = 120, bestScore = -Infinity, bestLag = 0;
-  for (let bpm = bpmMin; bpm <= bpmMax; bpm += 1) {
-    const periodSec = 60 / bpm;
-    const lag = Math.round((periodSec * sr) / hop);
-    const score = dotAtLag(flux, lag);
-    if (score > bestScore) { bestScore = score; bestBpm = bpm; bestLag = lag; }
-  }
-
-  // Build rough beat grid: align to strongest local onset around the first bar
-  const peaks = pickPeaks(flux, 0.6 * median(flux));
-  let startIdx = peaks.length ? peaks[0] : 0;
-  // refine: choose peak that maximizes alignment over 16 beats
-  let bestStart = startIdx, bestAlign = -Infinity;
-  for (let k = 0; k < Math.min(200, peaks.length); k++) {
-    const s = peaks[k];
-    const align = alignmentScore(flux, s, bestLag, 16);
-    if (align > bestAlign) { bestAlign = align; bestStart = s; }
-  }
-  startIdx = bestStart;
-  const beatFrames = [];
-  for (let i = startIdx; i < nFrames; i += bestLag) beatFrames.push(i);
+  const wnd = blackman(win);
+  const re = new Float32Array(win), im = new Float32Array(win);
+  const mags = new Float32Array(win / 2), lv = new Float32Array(bands.length);
+  const logPrev = new Float32Array(win / 2);
+  for (let f = 0; f < nFrames; f++) {
+    const start = f * hop;
+    for (let i = 0; i < win; i++) { re[i] = (mono[start + i] || 0) * wnd[i]; im[i] = 0; }
+    fftInPlace(re, im);
+    let fl = 0;
+    for (let k = 0; k < mags.length; k++) {
+      mags[k] = Math.hypot(re[k], im[k]) / win;
+      const l = Math.log1p(1000 * mags[k]);
+      if (f > 0 && l > logPrev[k]) fl += l - logPrev[k];
+      logPrev[k] = l;
+    }
+    flux[f] = fl;
+    bandLevels(mags, sr / win, bands, lv);
+    for (let b = 0; b < bands.length; b++) bandEnv[b][f] = lv[b];
+  }
+  bandEnv.forEach(e => smoothInPlace(e, 2));
+
+  // Onset strength: flux above its local mean (~0.5 s), half-wave rectified, unit variance
+  const fr = sr / hop;
+  const onset = Float32Array.from(flux);
+  const localMean = Float32Array.from(flux);
+  smoothInPlace(localMean, Math.max(1, Math.round(0.25 * fr)));
+  for (let i = 0; i < nFrames; i++) onset[i] = Math.max(0, flux[i] - localMean[i]);
+  smoothInPlace(onset, 1);
+  const sd = stdDev(onset);
+  if (sd > 0) for (let i = 0; i < nFrames; i++) onset[i] /= sd;
 
+  // Tempo path (allows gradual/sectional changes) → DP beat tracking → downbeats
+  const period = trackTempo(onset, fr);
+  const beatFrames = trackBeats(onset, period);
   const beatTimes = beatFrames.map(f => (f * hop) / sr);
+  const meter = 4;
+  const downbeatIdx = findDownbeats(beatFrames, onset, bandEnv[0], meter);
+  const downbeats = downbeatIdx.map(i => beatTimes[i]);
+
+  const beatBpm = new Float32Array(beatTimes.length);
+  for (let i = 0; i < beatTimes.length; i++) {
+    const j = i + 1 < beatTimes.length ? i : i - 1; // interval to the next beat (previous for the last one)
+    beatBpm[i] = j >= 0 ? 60 / (beatTimes[j + 1] - beatTimes[j]) : 0;
+  }
+  const intervals = beatTimes.slice(1).map((t, i) => t - beatTimes[i]);
+  const bpm = intervals.length ? 60 / median(intervals) : 120;
+
+  // Confidence: how much stronger onsets are on the tracked beats than on average (0 = no better than chance)
+  let onBeats = 0;
+  for (const f of beatFrames) onBeats += onset[f];
+  const meanAll = mean(onset);
+  const ratio = beatFrames.length && meanAll > 0 ? (onBeats / beatFrames.length) / meanAll : 1;
+  const confidence = Math.max(0, Math.min(1, 1 - 1 / ratio));
   const duration = buffer.duration;
+  const sections = segmentSections({ rms, onset, bandEnv, downbeats, hop, sr, duration });
 
   return {
     sampleRate: sr,
@@ -72,17 +145,46 @@ export function analyzeBuffer(buffer) {
     frames: nFrames,
     hop,
     rms,
-    onset: flux,
-    bpm: bestBpm,
-    beatTimes
+    onset,
+    bands: { names: bands.map(b => b.name), ranges: bands.map(b => [b.lo, b.hi]), env: bandEnv },
+    bpm,
+    beatTimes,
+    beatBpm,
+    downbeats,
+    meter,
+    confidence,
+    sections
   };
 }
 
-function dotAtLag(x, lag) {
-  if (lag <= 0 || lag >= x.length) return -Infinity;
-  let s = 0;
-  for (let i = lag; i < x.length; i++) s += x[i] * x[i - lag];
-  return s / (x.length - lag);
+function blackman(n) {
+  const w = new Float32Array(n);
+  for (let i = 0; i < n; i++) w[i] = 0.42 - 0.5 * Math.cos(2 * Math.PI * i / n) + 0.08 * Math.cos(4 * Math.PI * i / n);
+  return w;
+}
+
+// Iterative radix-2 FFT; length must be a power of two.
+function fftInPlace(re, im) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) { let t = re[i]; re[i] = re[j]; re[j] = t; t = im[i]; im[i] = im[j]; im[j] = t; }
+  }
+  for (let len = 2; len <= n; len <<= 1) {
+    const ang = -2 * Math.PI / len, wr = Math.cos(ang), wi = Math.sin(ang);
+    for (let i = 0; i < n; i += len) {
+      let cr = 1, ci = 0;
+      for (let k = 0; k < len / 2; k++) {
+        const a = i + k, b = a + len / 2;
+        const xr = re[b] * cr - im[b] * ci, xi = re[b] * ci + im[b] * cr;
+        re[b] = re[a] - xr; im[b] = im[a] - xi;
+        re[a] += xr; im[a] += xi;
+        const t = cr * wr - ci * wi; ci = cr * wi + ci * wr; cr = t;
+      }
+    }
+  }
 }
 
 function smoothInPlace(arr, radius = 3) {
@@ -104,19 +206,300 @@ function median(a) {
   return b.length ? b[Math.floor(b.length/2)] : 0;
 }
 
-function pickPeaks(arr, thresh) {
-  const peaks = [];
-  for (let i = 1; i < arr.length-1; i++) {
-    if (arr[i] > thresh && arr[i] > arr[i-1] && arr[i] >= arr[i+1]) peaks.push(i);
-  }
-  return peaks;
+function mean(a) {
+  let s = 0;
+  for (let i = 0; i < a.length; i++) s += a[i];
+  return a.length ? s / a.length : 0;
 }
 
-function alignmentScore(flux, start, lag, beats) {
+function stdDev(a) {
+  const m = mean(a);
   let s = 0;
-  for (let i = 0; i < beats; i++) {
-    const idx = start + i * lag;
-    if (idx >= 0 && idx < flux.length) s += flux[idx];
+  for (let i = 0; i < a.length; i++) s += (a[i] - m) * (a[i] - m);
+  return a.length ? Math.sqrt(s / a.length) : 0;
+}
+
+/**
+ * Beat period (in frames) for every frame. The onset envelope is cut into 8 s windows every 1 s;
+ * each window scores candidate periods by autocorrelation (plus half weight at twice the lag)
+ * under a log-Gaussian tempo prior around 120 BPM. A Viterbi pass then picks the period path,
+ * charging for jumps in log-tempo so the path follows real changes but ignores noise.
+ */
+function trackTempo(onset, fr, { bpmMin = 50, bpmMax = 220, winSec = 8, stepSec = 1, jumpCost = 40 } = {}) {
+  const n = onset.length;
+  const lagMin = Math.max(2, Math.floor(60 * fr / bpmMax));
+  const lagMax = Math.max(lagMin + 1, Math.ceil(60 * fr / bpmMin));
+  const nLags = lagMax - lagMin + 1;
+  const winLen = Math.min(n, Math.round(winSec * fr));
+  const step = Math.max(1, Math.round(stepSec * fr));
+  const starts = [];
+  for (let s = 0; s + winLen <= n; s += step) starts.push(s);
+  if (!starts.length) starts.push(0);
+
+  const acf = (s, lag) => {
+    if (lag >= winLen) return 0;
+    let v = 0;
+    for (let i = s + lag; i < s + winLen; i++) v += onset[i] * onset[i - lag];
+    return v / (winLen - lag);
+  };
+  const prior = new Float32Array(nLags);
+  for (let j = 0; j < nLags; j++) {
+    const oct = Math.log2((60 * fr / (lagMin + j)) / 120);
+    prior[j] = Math.exp(-0.5 * oct * oct);
+  }
+
+  // Viterbi over (window, lag)
+  const W = starts.length;
+  const back = new Int16Array(W * nLags);
+  let prev = new Float32Array(nLags), cur = new Float32Array(nLags);
+  const logLag = new Float32Array(nLags);
+  for (let j = 0; j < nLags; j++) logLag[j] = Math.log(lagMin + j);
+  for (let w = 0; w < W; w++) {
+    const obs = new Float32Array(nLags);
+    let mx = 0;
+    for (let j = 0; j < nLags; j++) {
+      const lag = lagMin + j;
+      obs[j] = (acf(starts[w], lag) + 0.5 * acf(starts[w], 2 * lag)) * prior[j];
+      if (obs[j] > mx) mx = obs[j];
+    }
+    for (let j = 0; j < nLags; j++) {
+      const o = mx > 0 ? obs[j] / mx : 0;
+      if (w === 0) { cur[j] = o; continue; }
+      let best = -Infinity, arg = j;
+      for (let k = 0; k < nLags; k++) {
+        const d = logLag[j] - logLag[k];
+        const v = prev[k] - jumpCost * d * d;
+        if (v > best) { best = v; arg = k; }
+      }
+      cur[j] = o + best;
+      back[w * nLags + j] = arg;
+    }
+    [prev, cur] = [cur, prev];
+  }
+  let j = 0;
+  for (let k = 1; k < nLags; k++) if (prev[k] > prev[j]) j = k;
+  const path = new Float32Array(W);
+  for (let w = W - 1; w >= 0; w--) { path[w] = lagMin + j; if (w > 0) j = back[w * nLags + j]; }
+
+  // Per-frame period, interpolated between window centres
+  const period = new Float32Array(n);
+  const centre = (w) => starts[w] + winLen / 2;
+  for (let i = 0, w = 0; i < n; i++) {
+    while (w < W - 1 && centre(w + 1) <= i) w++;
+    if (W === 1 || i <= centre(0)) { period[i] = path[0]; continue; }
+    if (w >= W - 1) { period[i] = path[W - 1]; continue; }
+    const k = (i - centre(w)) / (centre(w + 1) - centre(w));
+    period[i] = path[w] + (path[w + 1] - path[w]) * k;
+  }
+  return period;
+}
+
+/**
+ * Dynamic-programming beat tracker (Ellis 2007) with a time-varying target period: each frame's
+ * score is its onset strength plus the best predecessor 0.5–2 periods back, penalized by the
+ * squared log deviation from the local period. Backtracking from the strongest final beat gives the beats.
+ */
+function trackBeats(onset, period, tightness = 100) {
+  const n = onset.length;
+  if (n < 2) return [];
+  const score = new Float32Array(n);
+  const back = new Int32Array(n).fill(-1);
+  for (let t = 0; t < n; t++) {
+    const p = period[t];
+    const lo = Math.max(0, t - Math.round(2 * p)), hi = t - Math.max(1, Math.round(p / 2));
+    let best = -Infinity, arg = -1;
+    for (let tau = lo; tau <= hi; tau++) {
+      const d = Math.log((t - tau) / p);
+      const v = score[tau] - tightness * d * d;
+      if (v > best) { best = v; arg = tau; }
+    }
+    if (arg >= 0 && best > 0) { score[t] = onset[t] + best; back[t] = arg; }
+    else score[t] = onset[t];
+  }
+  let end = n - 1;
+  for (let t = Math.max(0, n - Math.round(period[n - 1])); t < n; t++) if (score[t] > score[end]) end = t;
+  const beats = [];
+  for (let t = end; t >= 0; t = back[t]) beats.push(t);
+  return beats.reverse();
+}
+
+/**
+ * Indices (into beats) of bar starts, assuming a fixed meter. The phase whose beats carry the most
+ * onset plus low-band energy wins — kicks and bass notes land on downbeats far more often than not.
+ */
+function findDownbeats(beats, onset, low, meter = 4) {
+  if (!beats.length) return [];
+  let peak = 1e-9;
+  for (let i = 0; i < onset.length; i++) if (onset[i] > peak) peak = onset[i];
+  let bestPhase = 0, bestScore = -Infinity;
+  for (let ph = 0; ph < meter; ph++) {
+    let s = 0, c = 0;
+    for (let i = ph; i < beats.length; i += meter) { s += onset[beats[i]] / peak + (low ? low[beats[i]] : 0); c++; }
+    if (c && s / c > bestScore) { bestScore = s / c; bestPhase = ph; }
   }
-  return s;
+  const out = [];
+  for (let i = bestPhase; i < beats.length; i += meter) out.push(i);
+  return out;
+}
+
+export const SECTION_LABELS = ['intro', 'build', 'drop', 'breakdown', 'outro'];
+
+/**
+ * Split the track into sections at bar boundaries. Each bar gets a feature vector (RMS, band
+ * levels, onset density; z-scored across bars); novelty at a bar line is the distance between
+ * the mean features of up to 4 bars either side. Strong novelty peaks at least `minBars` apart
+ * become boundaries, and sections are labelled from their energy relative to the loudest one.
+ */
+function segmentSections({ rms, onset, bandEnv, downbeats, hop, sr, duration }, { minBars = 4, span = 4 } = {}) {
+  const frameAt = (t) => Math.max(0, Math.min(rms.length - 1, Math.round((t * sr) / hop)));
+  const avg = (arr, a, b) => { let s = 0; for (let i = a; i < b; i++) s += arr[i]; return b > a ? s / (b - a) : 0; };
+  const bars = downbeats.length ? [0, ...downbeats.filter(t => t > 0.05)] : [0];
+  const nBars = bars.length;
+  if (nBars < 2 * minBars) return [{ start: 0, end: duration, label: 'intro', energy: 1 }];
+
+  // Bar features
+  const feats = bars.map((t, i) => {
+    const a = frameAt(t), b = Math.max(a + 1, frameAt(i + 1 < nBars ? bars[i + 1] : duration));
+    return [avg(rms, a, b), avg(onset, a, b), ...bandEnv.map(e => avg(e, a, b))];
+  });
+  const dims = feats[0].length;
+  for (let d = 0; d < dims; d++) {
+    const col = feats.map(f => f[d]);
+    const m = mean(col), sd = stdDev(col) || 1;
+    feats.forEach(f => { f[d] = (f[d] - m) / sd; });
+  }
+
+  // Novelty at each bar line
+  const nov = new Float32Array(nBars);
+  for (let b = 1; b < nBars; b++) {
+    const L = Math.min(span, b, nBars - b);
+    let dist = 0;
+    for (let d = 0; d < dims; d++) {
+      let before = 0, after = 0;
+      for (let k = 1; k <= L; k++) { before += feats[b - k][d]; after += feats[b + k - 1][d]; }
+      dist += ((after - before) / L) ** 2;
+    }
+    nov[b] = Math.sqrt(dist);
+  }
+
+  // Greedy peak picking: strongest first, keeping sections at least minBars long
+  const thresh = mean(nov) + 0.5 * stdDev(nov);
+  const cands = [];
+  for (let b = minBars; b <= nBars - minBars; b++) if (nov[b] > thresh && nov[b] >= nov[b - 1] && nov[b] >= (nov[b + 1] ?? 0)) cands.push(b);
+  cands.sort((x, y) => nov[y] - nov[x]);
+  const cuts = [];
+  for (const b of cands) if (cuts.every(c => Math.abs(c - b) >= minBars)) cuts.push(b);
+  cuts.sort((x, y) => x - y);
+
+  // Section energy: loudness, onset density and low end together (z-scores), rescaled to 0..1
+  const barEnergy = feats.map(f => (f[0] + f[1] + (dims > 2 ? f[2] : 0)) / 3);
+  const edges = [0, ...cuts, nBars];
+  const secs = [];
+  for (let i = 0; i < edges.length - 1; i++) {
+    secs.push({ start: bars[edges[i]], end: edges[i + 1] < nBars ? bars[edges[i + 1]] : duration, energy: avg(barEnergy, edges[i], edges[i + 1]) });
+  }
+  const lo = Math.min(...secs.map(s => s.energy)), hi = Math.max(...secs.map(s => s.energy));
+  secs.forEach(s => { s.energy = hi > lo ? (s.energy - lo) / (hi - lo) : 1; });
+
+  // Labels: loud → drop; quieter sections are intro (first), outro (last), breakdown (falls from
+  // the previous section) or build (holds or rises from it)
+  const HI = 0.75;
+  secs.forEach((s, i) => {
+    const prev = secs[i - 1], next = secs[i + 1];
+    if (s.energy >= HI) s.label = 'drop';
+    else if (i === 0) s.label = 'intro';
+    else if (!next) s.label = 'outro';
+    else if (s.energy < prev.energy) s.label = 'breakdown';
+    else s.label = 'build';
+  });
+  return secs;
+}
+
+// --- Lookups at an exact time (used by live meters and the offline renderer) ---
+
+// Normalized 0..1 level from the RMS envelope, linearly interpolated between hops.
+export function levelAt(analysis, t) {
+  const rms = analysis?.rms;
+  if (!rms || !rms.length) return 0;
+  const pos = Math.max(0, (t * analysis.sampleRate) / analysis.hop);
+  const i = Math.min(rms.length - 1, Math.floor(pos));
+  const j = Math.min(rms.length - 1, i + 1);
+  const v = rms[i] + (rms[j] - rms[i]) * (pos - i);
+  return Math.max(0, Math.min(1, v * 4.5)); // same heuristic as AudioEngine.getLevel()
+}
+
+// Onset strength at time t, normalized 0..1 against the track's strongest onset.
+export function onsetAt(analysis, t) {
+  const on = analysis?.onset;
+  if (!on || !on.length) return 0;
+  if (analysis._onsetMax === undefined) {
+    let m = 0;
+    for (let i = 0; i < on.length; i++) if (on[i] > m) m = on[i];
+    analysis._onsetMax = m;
+  }
+  if (!(analysis._onsetMax > 0)) return 0;
+  const i = Math.min(on.length - 1, Math.max(0, Math.round((t * analysis.sampleRate) / analysis.hop)));
+  return on[i] / analysis._onsetMax;
+}
+
+// Pulse that peaks at the next beat time (width in seconds).
+export function beatPulseAt(beats, t, width = 0.12) {
+  if (!beats || !beats.length) return 0;
+  let lo = 0, hi = beats.length - 1, mid = 0;
+  while (lo <= hi) { mid = (lo + hi) >> 1; if (beats[mid] < t) lo = mid + 1; else hi = mid - 1; }
+  const idx = Math.max(0, Math.min(beats.length - 1, lo));
+  const d = Math.abs(t - beats[idx]);
+  return d < width ? 1 - (d / width) : 0;
+}
+
+// Per-band levels at time t as { [name]: 0..1 }, interpolated between hops.
+export function bandsAt(analysis, t) {
+  const b = analysis?.bands;
+  const out = {};
+  if (!b || !b.env.length || !b.env[0].length) return out;
+  const n = b.env[0].length;
+  const pos = Math.max(0, (t * analysis.sampleRate) / analysis.hop);
+  const i = Math.min(n - 1, Math.floor(pos)), j = Math.min(n - 1, i + 1);
+  for (let k = 0; k < b.names.length; k++) {
+    const e = b.env[k];
+    out[b.names[k]] = e[i] + (e[j] - e[i]) * (pos - i);
+  }
+  return out;
+}
+
+// Typical bar length in seconds: median downbeat spacing, else `meter` beats at the median tempo.
+export function barSecondsOf(analysis) {
+  const d = analysis?.downbeats || [];
+  if (d.length >= 2) return median(d.slice(1).map((t, i) => t - d[i]));
+  const bpm = Number.isFinite(+analysis?.bpm) && +analysis.bpm > 0 ? +analysis.bpm : 120;
+  return (analysis?.meter || 4) * 60 / bpm;
+}
+
+// Position within the current bar (0..1) from the tracked downbeats; the first/last bar
+// lengths are extended before the first and after the last downbeat.
+export function barPhaseAt(analysis, t) {
+  const d = analysis?.downbeats || [];
+  if (d.length < 2) { const b = barSecondsOf(analysis); return ((t / b) % 1 + 1) % 1; }
+  let lo = 0, hi = d.length - 1;
+  while (lo < hi) { const mid = (lo + hi + 1) >> 1; if (d[mid] <= t) lo = mid; else hi = mid - 1; }
+  const i = Math.min(lo, d.length - 2);
+  const len = d[i + 1] - d[i];
+  const x = (t - d[i]) / len;
+  return t < d[0] || t >= d[d.length - 1] ? ((x % 1) + 1) % 1 : x;
+}
+
+// Section containing t (or null)
+export function sectionAt(sections, t) {
+  if (!sections || !sections.length) return null;
+  for (let i = sections.length - 1; i >= 0; i--) if (t >= sections[i].start) return sections[i];
+  return sections[0];
+}
+
+// Synthetic analysis for sources without a decoded buffer (procedural): rigid beat grid, no envelope.
+export function gridAnalysis({ bpm = 112, duration = 60 } = {}) {
+  const beat = 60 / (Number.isFinite(+bpm) && +bpm > 0 ? +bpm : 112);
+  const beatTimes = [];
+  for (let k = 0; k * beat <= duration; k++) beatTimes.push(k * beat);
+  const downbeats = beatTimes.filter((_, k) => k % 4 === 0);
+  return { sampleRate: 44100, duration, frames: 0, hop: 512, rms: new Float32Array(0), onset: new Float32Array(0), bpm: 60 / beat, beatTimes, downbeats, meter: 4, confidence: 1, sections: [] };
 }
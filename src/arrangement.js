@@ -0,0 +1,164 @@
+// Seeded procedural arrangement. Seed + BPM + scale + root (+ progression) describe the whole piece as
+// data: the section at any bar and the note events inside it. Nothing here touches Tone.js or
+// Math.random, so live playback, offline rendering and the visuals all get the same music.
+import { mulberry32, seedToInt } from './noise.js';
+
+export const SCALES = { major:[0,2,4,5,7,9,11], minor:[0,2,3,5,7,8,10], dorian:[0,2,3,5,7,9,10], phrygian:[0,1,3,5,7,8,10] };
+
+// Chord roots as scale degrees, one chord per bar
+export const PROGRESSIONS = {
+  'i-iv-vi-iii': [0, 3, 5, 2],
+  'i-vi-iii-vii': [0, 5, 2, 6],
+  'i-iv-v-i': [0, 3, 4, 0],
+  'i-vii-vi-vii': [0, 6, 5, 6],
+  'vi-iv-i-v': [5, 3, 0, 4],
+  'i-v-vi-iv': [0, 4, 5, 3],
+  'ii-v-i-i': [1, 4, 0, 0]
+};
+
+export const INSTRUMENTS = ['chords', 'bass', 'lead', 'kick', 'snare', 'hat'];
+export const STEPS_PER_BAR = 16;
+
+// Voices per section type with their density 0..1 (absent = muted)
+const SECTION_MIX = {
+  intro: { chords: 0.6, lead: 0.25, hat: 0.3 },
+  verse: { chords: 0.8, bass: 0.6, lead: 0.45, kick: 0.5, snare: 0.5, hat: 0.5 },
+  drop: { chords: 1.0, bass: 1.0, lead: 0.85, kick: 1.0, snare: 1.0, hat: 1.0 },
+  outro: { chords: 0.6, lead: 0.2, hat: 0.25 }
+};
+
+// One pass through the song; after the outro it starts over with the same patterns
+const FORM = ['intro', 'verse', 'drop', 'verse', 'drop', 'outro'];
+
+const KICKS = [[0, 8], [0, 4, 8, 12], [0, 6, 8], [0, 3, 8, 10], [0, 8, 11]];
+const SNARES = [[4, 12], [12], [4, 12, 15], [4, 10, 12]];
+const BASS_RHYTHMS = [[0, 8], [0, 3, 6, 8, 11, 14], [0, 2, 4, 6, 8, 10, 12, 14], [0, 7, 8, 15]];
+
+const NOTE_PC = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+// 'C2' / 'F#3' / 'Bb1' → MIDI number (C4 = 60, as in Tone.js)
+export function noteToMidi(note, fallback = 36) {
+  const m = /^([A-Ga-g])([#b]?)(-?\d)$/.exec(String(note || '').trim());
+  if (!m) return fallback;
+  return 12 * (+m[3] + 1) + NOTE_PC[m[1].toUpperCase()] + (m[2] === '#' ? 1 : m[2] === 'b' ? -1 : 0);
+}
+
+const pick = (rand, list) => list[Math.floor(rand() * list.length)];
+
+// Chord-relative lead motif over two bars of eighths: scale-degree offsets, null = rest
+function makeMotif(rand, density) {
+  const out = [];
+  let deg = pick(rand, [0, 2, 4]);
+  for (let i = 0; i < 16; i++) {
+    if (rand() > 0.25 + 0.7 * density) { out.push(null); continue; }
+    deg = Math.max(-2, Math.min(9, deg + pick(rand, [-2, -1, -1, 0, 1, 1, 2, 3])));
+    out.push(deg);
+  }
+  return out;
+}
+
+/**
+ * Build the piece description. Same arguments → same piece.
+ * progression: a PROGRESSIONS key, or 'auto' to let the seed choose.
+ */
+export function composePiece({ seed = '123456', bpm = 112, scaleName = 'minor', root = 'C2', progression = 'auto' } = {}) {
+  const seedInt = seedToInt(seed);
+  const rand = mulberry32(seedInt);
+  const progName = PROGRESSIONS[progression] ? progression : pick(rand, Object.keys(PROGRESSIONS));
+
+  const sections = FORM.map(label => ({
+    label,
+    bars: label === 'intro' || label === 'outro' ? pick(rand, [4, 8]) : pick(rand, [8, 16])
+  }));
+  let bar = 0;
+  for (const s of sections) { s.startBar = bar; bar += s.bars; }
+
+  // Patterns are chosen per section type, so every verse (and every drop) is recognisably the same
+  const patterns = {};
+  for (const label of Object.keys(SECTION_MIX)) {
+    const mix = SECTION_MIX[label];
+    patterns[label] = {
+      kick: pick(rand, mix.kick >= 1 ? KICKS.slice(1) : KICKS),
+      snare: pick(rand, SNARES),
+      bass: pick(rand, mix.bass >= 1 ? BASS_RHYTHMS.slice(1) : BASS_RHYTHMS),
+      bassOct: pick(rand, [0, 0, 1]),
+      lead: makeMotif(rand, mix.lead || 0),
+      voicing: pick(rand, [[0, 2, 4], [0, 2, 4, 6], [0, 4, 7]])
+    };
+  }
+
+  return {
+    seed: String(seed), seedInt, bpm: Number.isFinite(+bpm) ? +bpm : 112,
+    scale: SCALES[scaleName] || SCALES.minor, scaleName: SCALES[scaleName] ? scaleName : 'minor',
+    rootMidi: noteToMidi(root), progression: progName, degrees: PROGRESSIONS[progName],
+    sections, totalBars: bar, patterns
+  };
+}
+
+// Section of a (0-based) bar: { label, index, barInSection, bars, lastBar }
+export function sectionAtBar(piece, bar) {
+  const b = ((bar % piece.totalBars) + piece.totalBars) % piece.totalBars;
+  const index = piece.sections.findIndex(s => b < s.startBar + s.bars);
+  const s = piece.sections[index];
+  return { label: s.label, index, barInSection: b - s.startBar, bars: s.bars, lastBar: b - s.startBar === s.bars - 1 };
+}
+
+// Scale degree (any integer, wraps into octaves) → MIDI, `oct` octaves above the root
+export function degreeToMidi(piece, d, oct = 0) {
+  const n = piece.scale.length;
+  const wrap = Math.floor(d / n);
+  return piece.rootMidi + piece.scale[((d % n) + n) % n] + 12 * (oct + wrap);
+}
+
+/**
+ * Note events of one bar, sorted by step:
+ *   { inst, step (0..15 sixteenths), dur (sixteenths), midi: number | number[] | null, vel 0..1 }
+ * Ornaments (ghost hats, lead passing notes, section-end fills) use a per-bar RNG,
+ * so any bar can be generated on its own — seeking and offline rendering need no history.
+ */
+export function barEvents(piece, bar) {
+  const sec = sectionAtBar(piece, bar);
+  const mix = SECTION_MIX[sec.label];
+  const pat = piece.patterns[sec.label];
+  const rand = mulberry32((piece.seedInt ^ Math.imul(bar + 1, 0x9E3779B1)) >>> 0);
+  const chord = piece.degrees[((bar % piece.degrees.length) + piece.degrees.length) % piece.degrees.length];
+  const ev = [];
+  const add = (inst, step, dur, midi, vel) => ev.push({ inst, step, dur, midi, vel: Math.max(0, Math.min(1, vel)) });
+
+  if (mix.chords) add('chords', 0, 16, pat.voicing.map(v => degreeToMidi(piece, chord + v, 1)), 0.2 + 0.2 * mix.chords);
+
+  if (mix.bass) {
+    pat.bass.forEach((s, i) => {
+      const fifth = i > 0 && rand() < 0.2 * mix.bass;
+      add('bass', s, 2, degreeToMidi(piece, chord + (fifth ? 4 : 0), pat.bassOct), 0.5 + 0.3 * mix.bass);
+    });
+  }
+
+  if (mix.kick) for (const s of pat.kick) add('kick', s, 2, null, s === 0 ? 0.95 : 0.8);
+
+  if (mix.snare) {
+    for (const s of pat.snare) add('snare', s, 1, null, 0.5 + 0.3 * mix.snare);
+    // fill into the next section
+    if (sec.lastBar && mix.snare >= 0.5) for (let s = 13; s < 16; s++) if (!pat.snare.includes(s)) add('snare', s, 1, null, 0.35 + 0.1 * (s - 12));
+  }
+
+  if (mix.hat) {
+    for (let s = 0; s < 16; s++) {
+      const offbeat = s % 4 === 2, eighth = s % 2 === 0;
+      const p = offbeat ? 1 : eighth ? mix.hat - 0.3 : mix.hat - 0.75;
+      if (rand() < p) add('hat', s, 1, null, offbeat ? 0.4 : 0.22);
+    }
+  }
+
+  if (mix.lead) {
+    const half = (sec.barInSection % 2) * 8; // motif spans two bars
+    for (let i = 0; i < 8; i++) {
+      let d = pat.lead[half + i];
+      if (d === null) { if (rand() < 0.08 * mix.lead) d = pick(rand, [0, 2, 4]); else continue; }
+      const dur = pat.lead[half + i + 1] === null ? 4 : 2;
+      add('lead', i * 2, dur, degreeToMidi(piece, chord + d, 2), 0.22 + 0.15 * mix.lead + 0.05 * rand());
+    }
+  }
+
+  return ev.sort((a, b) => a.step - b.step);
+}
@@ -0,0 +1,71 @@
+// Visual asset loading: image/video files → Three.js textures, with type detection for drag-and-drop
+// (3D models are detected here too; models.js loads them).
+import * as THREE from 'https://unpkg.com/three@0.160.0/build/three.module.js';
+
+const IMAGE_EXT = ['png', 'jpg', 'jpeg', 'gif', 'webp', 'bmp', 'avif', 'svg'];
+const VIDEO_EXT = ['mp4', 'webm', 'mov', 'm4v', 'ogv', 'mkv'];
+const AUDIO_EXT = ['wav', 'mp3', 'ogg', 'm4a', 'aac', 'flac', 'opus'];
+const MODEL_EXT = ['glb', 'gltf', 'obj'];
+
+// 'image' | 'video' | 'audio' | 'model' | null — MIME type first, file extension as fallback
+export function detectKind(file) {
+  const type = file.type || '';
+  if (type.startsWith('image/')) return 'image';
+  if (type.startsWith('video/')) return 'video';
+  if (type.startsWith('audio/')) return 'audio';
+  if (type.startsWith('model/')) return 'model';
+  const ext = (file.name || '').split('.').pop().toLowerCase();
+  if (IMAGE_EXT.includes(ext)) return 'image';
+  if (VIDEO_EXT.includes(ext)) return 'video';
+  if (AUDIO_EXT.includes(ext)) return 'audio';
+  if (MODEL_EXT.includes(ext)) return 'model';
+  return null;
+}
+
+// Dropped images whose names look like height data go to the displacement slot
+export function guessSlot(file, kind = detectKind(file)) {
+  if (kind === 'video') return 'map';
+  return /disp|height|bump|depth/i.test(file.name || '') ? 'disp' : 'map';
+}
+
+/**
+ * Load a File/Blob into a texture. Returns { kind, name, url, texture, video? }.
+ * Videos are muted, looped and start paused; Visuals drives their playback position.
+ */
+export async function loadAsset(file, name = file.name || 'asset') {
+  const kind = detectKind(file);
+  if (kind !== 'image' && kind !== 'video') throw new Error(`Unsupported asset type: ${name}`);
+  const url = URL.createObjectURL(file);
+
+  if (kind === 'image') {
+    const texture = await new THREE.TextureLoader().loadAsync(url).catch(() => {
+      URL.revokeObjectURL(url);
+      throw new Error(`Could not decode image: ${name}`);
+    });
+    texture.colorSpace = THREE.SRGBColorSpace;
+    texture.wrapS = texture.wrapT = THREE.RepeatWrapping;
+    return { kind, name, url, texture };
+  }
+
+  const video = document.createElement('video');
+  video.src = url;
+  video.muted = true;
+  video.loop = true;
+  video.playsInline = true;
+  video.crossOrigin = 'anonymous';
+  await new Promise((resolve, reject) => {
+    video.onloadeddata = resolve;
+    video.onerror = () => { URL.revokeObjectURL(url); reject(new Error(`Could not decode video: ${name}`)); };
+  });
+  const texture = new THREE.VideoTexture(video);
+  texture.colorSpace = THREE.SRGBColorSpace;
+  texture.wrapS = texture.wrapT = THREE.RepeatWrapping;
+  return { kind, name, url, texture, video };
+}
+
+export function disposeAsset(asset) {
+  if (!asset) return;
+  if (asset.video) { asset.video.pause(); asset.video.removeAttribute('src'); asset.video.load(); }
+  asset.texture?.dispose();
+  URL.revokeObjectURL(asset.url);
+}
@@ -1,5 +1,8 @@
-import { analyzeBuffer, decodeArrayBufferToAudio } from './analyze.js';
+import { analyzeBuffer, decodeArrayBufferToAudio, beatPulseAt, onsetAt, bandLevels, normalizeBands, barSecondsOf, barPhaseAt } from './analyze.js';
 import { clamp } from './noise.js';
+import { composePiece, barEvents } from './arrangement.js';
+import { pieceEventSource, analysisEventSource } from './events.js';
+import { encodeWav } from './wav.js';
 
 // --- Lazy-load Tone only after a user gesture ---
 let _toneLoading = null;
@@ -33,8 +36,16 @@ export class AudioEngine {
     this.proc = null;         // MusicSystemTone for procedural
 
     this.analysis = null;     // uploaded-track analysis
+    this.bands = normalizeBands(); // band layout shared by offline analysis and live getBands()
     this.startTime = 0;
     this.inOffset = 0;
+    this.regionEnd = 0;       // out point (track seconds) for uploaded playback
+    this.loop = false;
+    this.playFrom = 0;        // track position the current source started at
+    this.trackFile = null;    // File/Blob the current buffer was decoded from
+    this.events = null;       // event source of what is playing (see events.js)
+    this._trackEvents = null; // onset events of the loaded track
+    this.piece = null;        // composePiece() result of the last procedural start/render
 
     this._toneConnected = false;
   }
@@ -67,6 +78,9 @@ export class AudioEngine {
     return this.ctx;
   }
 
+  // Band layout: a count or [{ name, lo, hi }]. Call before loadFile() so the analysis matches.
+  setBands(spec) { this.bands = normalizeBands(spec); }
+
   getMediaStream() {
     return this.streamDest ? this.streamDest.stream : null;
   }
@@ -76,43 +90,108 @@ export class AudioEngine {
     await this.ensureContext();
     const ab = await file.arrayBuffer();
     this.buffer = await decodeArrayBufferToAudio(this.ctx, ab);
-    this.analysis = analyzeBuffer(this.buffer);
+    this.analysis = analyzeBuffer(this.buffer, { bands: this.bands });
+    this._trackEvents = analysisEventSource(this.analysis);
+    this.trackFile = file;
     return this.analysis;
   }
 
-  async startUploaded({ inOffset = 0 }) {
+  // In/out region in track seconds: playback runs from inOffset to duration - outOffset.
+  getRegion({ inOffset = 0, outOffset = 0 } = {}) {
+    const dur = this.buffer ? this.buffer.duration : 0;
+    const start = clamp(+inOffset || 0, 0, Math.max(0, dur - 0.001));
+    const end = clamp(dur - (+outOffset || 0), Math.min(dur, start + 0.1), dur);
+    return { start, end };
+  }
+
+  // Plays [inOffset, duration - outOffset]; stops at the out point, or repeats the region when looping.
+  // `from` starts mid-region (used when toggling the loop during playback).
+  async startUploaded({ inOffset = 0, outOffset = 0, loop = false, from = null }) {
     if (!this.buffer) throw new Error('No audio buffer loaded.');
     await this.ensureContext();
     this.stop();
 
     this.mode = 'uploaded';
-    this.inOffset = clamp(+inOffset || 0, 0, Math.max(0, this.buffer.duration - 0.001));
+    this.events = this._trackEvents;
+    const { start, end } = this.getRegion({ inOffset, outOffset });
+    this.inOffset = start;
+    this.regionEnd = end;
+    this.loop = !!loop;
+    this.playFrom = from === null ? start : clamp(from, start, end - 0.001);
 
     this.source = this.ctx.createBufferSource();
     this.source.buffer = this.buffer;
     this.source.connect(this.mix);
-    this.source.start(0, this.inOffset);
+    if (this.loop) {
+      this.source.loop = true;
+      this.source.loopStart = start;
+      this.source.loopEnd = end;
+      this.source.start(0, this.playFrom);
+    } else {
+      this.source.start(0, this.playFrom, end - this.playFrom);
+    }
 
     this.startTime = this.ctx.currentTime;
   }
 
+  // Toggle region looping without losing the current position
+  async setLoop(on) {
+    if (this.mode !== 'uploaded' || !this.source || !!on === this.loop) { this.loop = !!on; return; }
+    const t = this.getTime();
+    const outOffset = this.buffer.duration - this.regionEnd;
+    await this.startUploaded({ inOffset: this.inOffset, outOffset, loop: on, from: t >= this.regionEnd ? this.inOffset : t });
+  }
+
   // ---------- Procedural (Tone.js) ----------
-  async startProcedural({ bpm = 112, scaleName = 'minor', root = 'C2' }) {
+  // Make Tone use OUR AudioContext (no cross-context hacks)
+  _useToneContext(Tone) {
+    if (Tone.getContext().rawContext !== this.ctx) {
+      Tone.setContext(new Tone.Context(this.ctx));
+    }
+  }
+
+  /**
+   * Render `duration` seconds of the seeded piece faster than real time with Tone.Offline and load the
+   * result like an uploaded track: analysis, In/Out region playback and deterministic export all apply,
+   * and `trackFile` becomes a WAV of the music. Events stay the piece's own notes, not detected onsets.
+   */
+  async renderProcedural({ bpm = 112, scaleName = 'minor', root = 'C2', seed = '123456', progression = 'auto', duration = 60 }) {
+    const Tone = await ensureTone();
+    await this.ensureContext();
+    this._useToneContext(Tone);
+    this.stop();
+
+    const sys = new MusicSystemTone();
+    const bpmVal = Number.isFinite(+bpm) ? +bpm : 112;
+    const rendered = await Tone.Offline(async ({ transport }) => {
+      await sys.start({ bpm: bpmVal, scaleName, root, seed, progression, transport });
+    }, Math.max(1, +duration || 60), 2, this.ctx.sampleRate);
+    sys.stop();
+
+    this.buffer = rendered.get();
+    this.analysis = analyzeBuffer(this.buffer, { bands: this.bands });
+    this._trackEvents = sys.events;
+    this.piece = sys.piece;
+    this.trackFile = encodeWav(this.buffer);
+    return this.analysis;
+  }
+
+  // Same seed + bpm + scale + root + progression → same piece (see arrangement.js)
+  async startProcedural({ bpm = 112, scaleName = 'minor', root = 'C2', seed = '123456', progression = 'auto' }) {
     const Tone = await ensureTone();
     await this.ensureContext();
     this.stop(); // stop any previous mode
     this.mode = 'procedural';
 
-    // Make Tone use OUR AudioContext (no cross-context hacks)
-    if (Tone.getContext().rawContext !== this.ctx) {
-      Tone.setContext(new Tone.Context(this.ctx));
-    }
+    this._useToneContext(Tone);
     await Tone.start();
 
     // Build the little music system
     this.proc = new MusicSystemTone();
     const bpmVal = Number.isFinite(+bpm) ? +bpm : 112;
-    await this.proc.start({ bpm: bpmVal, scaleName, root });
+    await this.proc.start({ bpm: bpmVal, scaleName, root, seed, progression });
+    this.events = this.proc.events;
+    this.piece = this.proc.piece;
 
     // Route Tone master into our mix bus (and NOT directly to speakers)
     try { Tone.Destination.disconnect(); } catch {}
@@ -151,8 +230,10 @@ export class AudioEngine {
   getTime() {
     if (!this.ctx) return 0;
     if (this.mode === 'uploaded') {
-      const t = this.ctx.currentTime - this.startTime + this.inOffset;
-      return Math.min(t, this.getDuration());
+      const t = this.ctx.currentTime - this.startTime + this.playFrom;
+      if (!this.loop) return Math.min(t, this.regionEnd || this.getDuration());
+      const len = this.regionEnd - this.inOffset;
+      return t < this.regionEnd || len <= 0 ? t : this.inOffset + ((t - this.inOffset) % len);
     } else if (this.mode === 'procedural' && window.Tone) {
       return window.Tone.Transport.seconds;
     }
@@ -170,53 +251,85 @@ export class AudioEngine {
     return clamp(rms * 4.5, 0, 1); // heuristic
   }
 
+  // Per-band levels { [name]: 0..1 } from the live spectrum (same scale as analysis.bands)
+  getBands() {
+    const out = {};
+    if (!this.analyser) return out;
+    const n = this.analyser.frequencyBinCount;
+    if (!this._freqDb || this._freqDb.length !== n) { this._freqDb = new Float32Array(n); this._mags = new Float32Array(n); }
+    this.analyser.getFloatFrequencyData(this._freqDb);
+    for (let k = 0; k < n; k++) this._mags[k] = Math.pow(10, this._freqDb[k] / 20);
+    const lv = bandLevels(this._mags, this.ctx.sampleRate / this.analyser.fftSize, this.bands);
+    this.bands.forEach((b, i) => { out[b.name] = lv[i]; });
+    return out;
+  }
+
+  // Onset strength 0..1: from the precomputed flux for uploaded tracks, else rising edges of the live level
+  getOnset() {
+    if (this.mode === 'uploaded' && this.analysis) return onsetAt(this.analysis, this.getTime());
+    const lvl = this.getLevel();
+    const rise = Math.max(0, lvl - (this._lastLevel || 0));
+    this._lastLevel = lvl;
+    return clamp(rise * 4, 0, 1);
+  }
+
+  // Timestamped events of the current playback (procedural notes, or the track's onsets)
+  getEvents() { return this.events; }
+
   // Beat pulse for visuals
   getBeatPulse() {
-    if (this.mode === 'procedural' && window.Tone) {
-      const beat = window.Tone.Time('4n').toSeconds();
-      const t = this.getTime();
-      const phase = (t % beat) / beat;
-      return phase < 0.15 ? 1 - (phase / 0.15) : 0;
+    if (this.mode === 'procedural' && this.proc && this.events) {
+      return this.events.pulseAt(this.getTime());
     } else if (this.mode === 'uploaded' && this.analysis) {
-      const t = this.getTime();
-      const beats = this.analysis.beatTimes || [];
-      if (!beats.length) return 0;
-      let lo = 0, hi = beats.length - 1, mid = 0;
-      while (lo <= hi) { mid = (lo + hi) >> 1; if (beats[mid] < t) lo = mid + 1; else hi = mid - 1; }
-      const idx = Math.max(0, Math.min(beats.length - 1, lo));
-      const d = Math.abs(t - beats[idx]);
-      const width = 0.12; // 120ms
-      return d < width ? 1 - (d / width) : 0;
+      return beatPulseAt(this.analysis.beatTimes, this.getTime(), 0.12); // 120ms
     }
     return 0;
   }
 
   getBarSeconds() {
     if (this.mode === 'procedural' && window.Tone) return window.Tone.Time('1m').toSeconds();
-    if (this.mode === 'uploaded' && this.analysis) {
-      const bpm = Number.isFinite(+this.analysis.bpm) ? +this.analysis.bpm : 120;
-      return 60 / (bpm / 4);
-    }
+    if (this.mode === 'uploaded' && this.analysis) return barSecondsOf(this.analysis);
     return 2.0;
   }
+
+  // Tracked bar start times (uploaded tracks only); lets bar-based features follow tempo changes
+  getBarTimes() {
+    return this.mode === 'uploaded' && this.analysis ? this.analysis.downbeats || [] : null;
+  }
+
+  // 0..1 position within the current bar
+  getBarPhase() {
+    if (this.mode === 'procedural' && window.Tone) {
+      const bar = this.getBarSeconds(), t = this.getTime();
+      return (t % bar) / bar;
+    }
+    if (this.mode === 'uploaded' && this.analysis) return barPhaseAt(this.analysis, this.getTime());
+    return 0;
+  }
 }
 
-// Minimal, safe procedural bed
+// Seeded procedural band: plays the bars of a composePiece() arrangement (see arrangement.js).
+// `transport` is the live Tone.Transport, or the offline context's transport inside Tone.Offline.
 class MusicSystemTone {
-  async start({ bpm = 112, scaleName = 'minor', root = 'C2' } = {}) {
+  async start({ bpm = 112, scaleName = 'minor', root = 'C2', seed = '123456', progression = 'auto', transport = null } = {}) {
     const Tone = await ensureTone();
-    await Tone.start();
+    if (!transport) await Tone.start();
+    const tr = this.transport = transport || Tone.Transport;
 
     const bpmVal = Number.isFinite(+bpm) ? +bpm : 112;
-    Tone.Transport.stop();
-    Tone.Transport.cancel(0);
-    Tone.Transport.position = 0;
-    Tone.Transport.bpm.value = bpmVal;
+    this.piece = composePiece({ seed, bpm: bpmVal, scaleName, root, progression });
+    this.events = pieceEventSource(this.piece); // what the visuals react to; same timeline as the Transport
+    tr.stop();
+    tr.cancel(0);
+    tr.position = 0;
+    tr.bpm.value = bpmVal;
 
     // Nodes
     this.reverb = new Tone.Reverb({ decay: 5.5, wet: 0.35 }).toDestination();
+    await this.reverb.ready; // impulse response is generated asynchronously
     this.delay  = new Tone.FeedbackDelay({ delayTime: '8n', feedback: 0.25, wet: 0.25 }).connect(this.reverb);
     this.master = new Tone.Volume(-6).connect(this.delay);
+    this.dry    = new Tone.Volume(-6).toDestination(); // drums and bass skip the delay/reverb
 
     this.chords = new Tone.PolySynth(Tone.Synth, {
       oscillator: { type: 'triangle' },
@@ -230,42 +343,54 @@ class MusicSystemTone {
       modulationEnvelope: { attack: 0.01, decay: 0.2, sustain: 0.1, release: 0.1 }
     }).connect(this.master);
 
+    this.bass = new Tone.MonoSynth({
+      oscillator: { type: 'sawtooth' },
+      filter: { Q: 2, type: 'lowpass', rolloff: -24 },
+      envelope: { attack: 0.005, decay: 0.2, sustain: 0.4, release: 0.15 },
+      filterEnvelope: { attack: 0.005, decay: 0.15, sustain: 0.2, release: 0.2, baseFrequency: 120, octaves: 2.5 }
+    }).connect(this.dry);
+
     this.kick = new Tone.MembraneSynth({
       pitchDecay: 0.02, octaves: 6, oscillator: { type: 'sine' },
       envelope: { attack: 0.001, decay: 0.3, sustain: 0.0, release: 0.1 }
+    }).connect(this.dry);
+
+    this.snare = new Tone.NoiseSynth({
+      noise: { type: 'white' },
+      envelope: { attack: 0.001, decay: 0.16, sustain: 0, release: 0.05 }
     }).connect(this.master);
 
-    // Scale
-    const scales = { major:[0,2,4,5,7,9,11], minor:[0,2,3,5,7,8,10], dorian:[0,2,3,5,7,9,10], phrygian:[0,1,3,5,7,8,10] };
-    const scale = scales[scaleName] || scales.minor;
-    const rootMidi = Tone.Frequency(root || 'C2').toMidi();
-    const degree = (d, oct=0)=> rootMidi + scale[(d%scale.length+scale.length)%scale.length] + 12*oct;
-
-    // Schedules (guard every numeric)
-    Tone.Transport.scheduleRepeat((time)=>{
-      const d = [0,3,5,2][Math.floor(Tone.Transport.bars)%4] || 0;
-      const chord = [degree(d,1), degree(d+2,1), degree(d+4,1)]
-        .map(m => Tone.Frequency(Number.isFinite(m) ? m : rootMidi, 'midi'));
-      this.chords.triggerAttackRelease(chord, '1m', time, 0.35);
+    this.hat = new Tone.MetalSynth({
+      envelope: { attack: 0.001, decay: 0.05, release: 0.01 },
+      harmonicity: 5.1, modulationIndex: 32, resonance: 4000, octaves: 1.5
+    }).connect(this.dry);
+    this.hat.volume.value = -18;
+
+    // One callback per bar schedules that bar's events at their sixteenth offsets
+    const sixteenth = 15 / bpmVal;
+    tr.scheduleRepeat((time) => {
+      const bar = Math.round(tr.getTicksAtTime(time) / (tr.PPQ * 4));
+      for (const e of barEvents(this.piece, bar)) this._play(Tone, e, time + e.step * sixteenth, e.dur * sixteenth);
     }, '1m');
 
-    Tone.Transport.scheduleRepeat((time)=>{
-      this.kick.triggerAttackRelease('C2','8n', time, 0.9);
-    }, '2n');
-
-    Tone.Transport.scheduleRepeat((time)=>{
-      const randDeg = 2 + ((Math.random()*6)|0);
-      const m = Number.isFinite(randDeg) ? degree(randDeg, 2) : degree(2, 2);
-      this.lead.triggerAttackRelease(Tone.Frequency(m,'midi'), '8n', time, 0.3);
-    }, '8n');
+    tr.start();
+  }
 
-    Tone.Transport.start();
+  _play(Tone, e, time, dur) {
+    const hz = (m) => Tone.Frequency(m, 'midi');
+    switch (e.inst) {
+      case 'chords': this.chords.triggerAttackRelease(e.midi.map(hz), dur, time, e.vel); break;
+      case 'lead': this.lead.triggerAttackRelease(hz(e.midi), dur, time, e.vel); break;
+      case 'bass': this.bass.triggerAttackRelease(hz(e.midi), dur, time, e.vel); break;
+      case 'kick': this.kick.triggerAttackRelease('C2', '8n', time, e.vel); break;
+      case 'snare': this.snare.triggerAttackRelease(dur, time, e.vel); break;
+      case 'hat': this.hat.triggerAttackRelease(300, dur, time, e.vel); break;
+    }
   }
 
   stop() {
-    const Tone = window.Tone;
-    try { Tone.Transport.stop(); Tone.Transport.cancel(0); } catch {}
-    for (const n of ['chords','lead','kick','reverb','delay','master']) {
+    try { this.transport.stop(); this.transport.cancel(0); } catch {}
+    for (const n of ['chords','lead','bass','kick','snare','hat','reverb','delay','master','dry']) {
       try { this[n]?.dispose?.(); } catch {}
       this[n] = null;
     }
@@ -0,0 +1,244 @@
+// Camera rig: a mode (orbit, dolly, fly-through, handheld, top-down, fixed), optional beat-synced cuts
+// between preset angles, and keyframed position / target / FOV on top. Everything is a function of
+// (t, seed, music grid), so previews and offline renders frame the same shot. Pure (no three): the
+// project file and CLI share the settings, Visuals applies the result to its PerspectiveCamera.
+import { barToTime, CURVES } from './timeline.js';
+import { hashString } from './noise.js';
+
+export const CAMERA_MODES = ['orbit', 'dolly', 'flythrough', 'handheld', 'topdown', 'fixed'];
+export const CAMERA_DEFAULTS = {
+  mode: 'orbit',
+  cutEvery: 0,  // beats between cuts to a new preset angle; 0 = no cuts
+  shake: 0,     // extra handheld shake on top of any mode, 0..1
+  keys: []      // [{ t | bar, curve, pos?: [x,y,z], target?: [x,y,z], fov? }]
+};
+// Key curves: the timeline's, plus Catmull-Rom through the keys (default)
+export const CAMERA_CURVES = ['spline', ...Object.keys(CURVES)];
+
+// Cut angles: azimuth / elevation (radians) applied to the mode's shot, and a distance factor
+const ANGLES = [
+  { az: 0, el: 0, dist: 1 },            // front
+  { az: 0.8, el: 0.15, dist: 0.9 },     // three-quarter right
+  { az: -0.8, el: 0.15, dist: 0.9 },    // three-quarter left
+  { az: 0.3, el: -0.45, dist: 0.85 },   // low angle
+  { az: -0.2, el: 0.7, dist: 1.1 },     // high angle
+  { az: 0.15, el: 0.05, dist: 0.6 },    // close-up
+  { az: -0.4, el: 0.1, dist: 1.45 },    // wide
+  { az: 1.57, el: 0, dist: 1 }          // side
+];
+
+const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+const vec3 = (v) => (Array.isArray(v) && v.length === 3 && v.every(x => isNum(+x)) ? v.map(Number) : null);
+
+export function normalizeCameraKeys(keys) {
+  if (!Array.isArray(keys)) return [];
+  return keys
+    .filter(k => k && (isNum(+k.t) || isNum(+k.bar)) && (vec3(k.pos) || vec3(k.target) || isNum(+k.fov)))
+    .map(k => {
+      const out = {
+        ...(isNum(+k.bar) && k.t === undefined ? { bar: Math.max(1, +k.bar) } : { t: Math.max(0, +k.t) }),
+        curve: CAMERA_CURVES.includes(k.curve) ? k.curve : 'spline'
+      };
+      if (vec3(k.pos)) out.pos = vec3(k.pos);
+      if (vec3(k.target)) out.target = vec3(k.target);
+      if (k.fov !== undefined && k.fov !== null && isNum(+k.fov)) out.fov = Math.max(10, Math.min(120, +k.fov));
+      return out;
+    });
+}
+
+export function normalizeCamera(o = {}) {
+  const d = CAMERA_DEFAULTS;
+  const num = (v, def, min, max) => (v !== null && v !== '' && isNum(+v) ? Math.max(min, Math.min(max, +v)) : def);
+  return {
+    mode: CAMERA_MODES.includes(o.mode) ? o.mode : d.mode,
+    cutEvery: Math.round(num(o.cutEvery, d.cutEvery, 0, 64)),
+    shake: num(o.shake, d.shake, 0, 1),
+    keys: normalizeCameraKeys(o.keys)
+  };
+}
+
+/**
+ * The UI's one-key-per-line text format (like the style timeline):
+ *   8s pos=0,1,6 target=0,0,0
+ *   bar 17 ease pos=5,3,5 fov=40
+ *   bar 25 step pos=0,9,0.1
+ * Blank lines and lines starting with # are skipped. Throws with the offending line number.
+ */
+export function parseCameraKeys(text) {
+  const keys = [];
+  String(text || '').split('\n').forEach((raw, n) => {
+    const line = raw.trim();
+    if (!line || line.startsWith('#')) return;
+    const tok = line.split(/\s+/);
+    const key = { curve: 'spline' };
+    let i = 0;
+    const bar = /^bar(\d+(?:\.\d+)?)?$/i.exec(tok[0]);
+    if (bar) { key.bar = parseFloat(bar[1] ?? tok[++i]); i++; }
+    else { key.t = parseFloat(tok[i++]); }
+    if (!isNum(key.bar ?? key.t)) throw new Error(`Camera line ${n + 1}: expected "12.5s" or "bar 17"`);
+    for (; i < tok.length; i++) {
+      if (CAMERA_CURVES.includes(tok[i])) { key.curve = tok[i]; continue; }
+      const kv = /^(pos|target|fov)=(.+)$/.exec(tok[i]);
+      const v = kv && (kv[1] === 'fov' ? +kv[2] : vec3(kv[2].split(',')));
+      if (!kv || v === null || (kv[1] === 'fov' && !isNum(v))) throw new Error(`Camera line ${n + 1}: cannot read "${tok[i]}" (pos=x,y,z target=x,y,z fov=deg)`);
+      key[kv[1]] = v;
+    }
+    if (!key.pos && !key.target && key.fov === undefined) throw new Error(`Camera line ${n + 1}: needs pos=, target= or fov=`);
+    keys.push(key);
+  });
+  return normalizeCameraKeys(keys);
+}
+
+export function formatCameraKeys(keys) {
+  return normalizeCameraKeys(keys).map(k => {
+    const at = k.bar !== undefined ? `bar ${k.bar}` : `${k.t}s`;
+    const fields = ['pos', 'target', 'fov'].filter(f => k[f] !== undefined).map(f => `${f}=${[].concat(k[f]).join(',')}`);
+    return [at, k.curve, ...fields].join(' ');
+  }).join('\n');
+}
+
+// Beat number at t (0 = first beat), from the tracked downbeats or a fixed bar grid
+function beatAt(t, barSeconds, barTimes) {
+  if (barTimes && barTimes.length && t >= barTimes[0]) {
+    let i = 0;
+    while (i + 1 < barTimes.length && barTimes[i + 1] <= t) i++;
+    const len = i + 1 < barTimes.length ? barTimes[i + 1] - barTimes[i] : barSeconds;
+    return i * 4 + Math.min(3, Math.floor(4 * (t - barTimes[i]) / len));
+  }
+  return Math.floor(4 * t / barSeconds);
+}
+
+// Rotate [x,y,z] about the origin: elevation about x, then azimuth about y
+function turn(v, az, el) {
+  const [x, y0, z0] = v;
+  const y = y0 * Math.cos(el) - z0 * Math.sin(el), z = y0 * Math.sin(el) + z0 * Math.cos(el);
+  return [x * Math.cos(az) + z * Math.sin(az), y, -x * Math.sin(az) + z * Math.cos(az)];
+}
+
+const lerp3 = (a, b, k) => a.map((v, i) => v + (b[i] - v) * k);
+
+export class CameraRig {
+  constructor(settings = {}) {
+    this.set(settings);
+  }
+
+  set(settings) {
+    this.settings = normalizeCamera(settings);
+    this._tracks = null;
+  }
+
+  // Per-field sorted [{ t, v, curve }] of the keys; rebuilt when the bar grid changes (like StyleTimeline)
+  _build(barSeconds, barTimes) {
+    if (this._tracks && this._barSeconds === barSeconds && this._barTimes === barTimes) return this._tracks;
+    const tracks = {};
+    for (const k of this.settings.keys) {
+      const t = k.bar !== undefined ? barToTime(k.bar, barSeconds, barTimes) : k.t;
+      for (const f of ['pos', 'target', 'fov']) if (k[f] !== undefined) (tracks[f] ||= []).push({ t, v: [].concat(k[f]), curve: k.curve });
+    }
+    for (const f in tracks) tracks[f].sort((a, b) => a.t - b.t);
+    this._barSeconds = barSeconds;
+    this._barTimes = barTimes;
+    return (this._tracks = tracks);
+  }
+
+  /**
+   * Shot at time t → { position, target, up, fov } (fov null = Visuals' aspect-based default).
+   * ctx: { perlin, seed (int), drift (camera drift phase, ∫ cameraDrift dt), radius, frameScale, kaleidoscope,
+   *        fov (unkeyed FOV), barSeconds, barTimes, section ({ start, end, label } | null) }
+   */
+  at(t, ctx) {
+    const s = this.settings;
+    const shot = this._mode(s.mode, t, ctx);
+
+    // beat-synced cuts: every cutEvery beats jump to a seeded preset angle (never the same twice running)
+    if (s.cutEvery > 0) {
+      const n = Math.floor(beatAt(t, ctx.barSeconds, ctx.barTimes) / s.cutEvery);
+      const pick = (i) => hashString(`${ctx.seed}:cut:${i}`) % ANGLES.length;
+      let a = pick(n);
+      if (n > 0 && a === pick(n - 1)) a = (a + 1) % ANGLES.length;
+      const ang = ANGLES[a];
+      shot.position = turn(shot.position.map(v => v * ang.dist), ang.az, ang.el);
+      shot.target = turn(shot.target, ang.az, ang.el);
+      if (s.mode !== 'topdown') shot.up = [0, 1, 0];
+    }
+
+    const shake = Math.max(s.shake, s.mode === 'handheld' ? 0.5 : 0);
+    if (shake > 0) {
+      // two octaves of slow sway plus faster jitter, position and aim shaken separately
+      const p = ctx.perlin, a = 0.35 * shake * ctx.frameScale;
+      const j = (o) => p.noise3(t * 0.6, o, 1.7) + 0.35 * p.noise3(t * 3.1, o + 5.3, 2.9);
+      shot.position = shot.position.map((v, i) => v + a * j(11 + i * 7));
+      shot.target = shot.target.map((v, i) => v + 0.5 * a * j(41 + i * 7));
+    }
+
+    // keyframes override per field; the shot so far is the value at t = 0 (like the style timeline)
+    const tracks = this._build(ctx.barSeconds, ctx.barTimes);
+    if (tracks.pos) shot.position = evalTrack(tracks.pos, t, shot.position, ctx.frameScale);
+    if (tracks.target) shot.target = evalTrack(tracks.target, t, shot.target, 1);
+    if (tracks.fov) shot.fov = evalTrack(tracks.fov, t, [shot.fov ?? ctx.fov], 1)[0];
+    return shot;
+  }
+
+  _mode(mode, t, ctx) {
+    const { perlin: p, drift: dp, radius: R, frameScale: fs } = ctx;
+    const shot = { position: [0, 0, R * fs], target: [0, 0, 0], up: [0, 1, 0], fov: null };
+    if (mode === 'orbit' || mode === 'dolly') {
+      // Perlin-driven orbit (kaleidoscope optionally constrains to octants)
+      const k = ctx.kaleidoscope ? (x) => Math.sign(x) * Math.pow(Math.abs(x), 0.5) : (x) => x;
+      let cr = (R + 2.0 * p.fbm3(0.2 * dp, 0.5, 0.7)) * fs;
+      const cay = k(0.6 * p.fbm3(0.12 * dp, 2.3, 1.1));
+      const cax = k(0.4 * p.fbm3(0.13 * dp + 4.1, 0.9, 3.3));
+      if (mode === 'dolly') {
+        // push in across each section (hard reset at the next), strongest through builds
+        const sec = ctx.section;
+        const span = sec ? [sec.start, sec.end] : [Math.floor(t / (8 * ctx.barSeconds)) * 8 * ctx.barSeconds, 0];
+        if (!sec) span[1] = span[0] + 8 * ctx.barSeconds;
+        const x = Math.max(0, Math.min(1, (t - span[0]) / Math.max(1e-3, span[1] - span[0])));
+        const depth = sec && sec.label === 'build' ? 0.55 : 0.3;
+        cr *= 1.15 - depth * x * x * (3 - 2 * x);
+      }
+      shot.position = [cr * Math.sin(cay), cax, cr * Math.cos(cay)];
+    } else if (mode === 'flythrough') {
+      // a seeded loop that swings past the object and out again, looking a little ahead of itself
+      const path = (u) => {
+        const a = 0.11 * u + 6.28 * p.noise3(0.02 * u, 7.1, 0.3);
+        const r = R * (0.75 + 0.55 * Math.sin(0.23 * u + 1.3) + 0.25 * p.noise3(0.05 * u, 3.3, 8.1));
+        return [r * Math.sin(a), 2.5 * p.fbm3(0.04 * u, 9.7, 4.4), r * Math.cos(a)].map(v => v * fs);
+      };
+      const u = dp * 2;
+      shot.position = path(u);
+      shot.target = lerp3([0, 0, 0], path(u + 1.5), 0.35);
+    } else if (mode === 'topdown') {
+      // straight down, slowly turning
+      const a = 0.05 * dp;
+      shot.position = [0, R * 1.05 * fs, 0];
+      shot.up = [Math.sin(a), 0, -Math.cos(a)];
+    } else if (mode === 'handheld') {
+      shot.position = [0, 0.4 * fs, R * 0.9 * fs];
+    }
+    return shot;
+  }
+}
+
+// Value of a key track at t; `base` is the value at t = 0. Positions scale with frameScale so keyed
+// shots stay framed in narrow outputs.
+function evalTrack(track, t, base, scale) {
+  const pts = [{ t: 0, v: base, curve: 'linear' }, ...track.map(k => ({ ...k, v: k.v.map(x => x * scale) }))];
+  let i = 1;
+  while (i < pts.length && pts[i].t <= t) i++;
+  if (i >= pts.length) return pts[pts.length - 1].v;
+  const a = pts[i - 1], b = pts[i];
+  const span = b.t - a.t;
+  const x = span > 0 ? Math.max(0, Math.min(1, (t - a.t) / span)) : 1;
+  if (b.curve !== 'spline') return lerp3(a.v, b.v, CURVES[b.curve](x));
+  // Catmull-Rom tangents (non-uniform times) through the neighbouring keys, cubic Hermite between
+  const tangent = (j) => {
+    const p0 = pts[Math.max(0, j - 1)], p1 = pts[Math.min(pts.length - 1, j + 1)];
+    const dt = p1.t - p0.t;
+    return dt > 0 ? p1.v.map((v, c) => (v - p0.v[c]) / dt) : p1.v.map(() => 0);
+  };
+  const ma = tangent(i - 1), mb = tangent(i);
+  const x2 = x * x, x3 = x2 * x;
+  const h00 = 2 * x3 - 3 * x2 + 1, h10 = x3 - 2 * x2 + x, h01 = -2 * x3 + 3 * x2, h11 = x3 - x2;
+  return a.v.map((v, c) => h00 * v + h10 * span * ma[c] + h01 * b.v[c] + h11 * span * mb[c]);
+}
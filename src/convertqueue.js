@@ -0,0 +1,71 @@
+// Serial queue of recording conversions (ffmpeg.wasm runs one job at a time).
+// A job is { id, name, spec, state: 'queued' | 'running' | 'done' | 'failed' | 'cancelled', progress, error }.
+import { convertWebMBlob } from './ffmpeg.js';
+
+export class ConversionQueue {
+  // onUpdate(jobs) after every state/progress change; onDone(job, blob) when a conversion finishes
+  constructor({ onUpdate, onDone } = {}) {
+    this.onUpdate = onUpdate;
+    this.onDone = onDone;
+    this.jobs = [];
+    this._nextId = 1;
+    this._running = false;
+  }
+
+  // spec: resolved export preset (presets.js); name: output file name without extension; fps: the recording's
+  add(blob, spec, name, fps = 60) {
+    const job = { id: this._nextId++, name, spec, fps, state: 'queued', progress: 0, error: null, blob, ctrl: null };
+    this.jobs.push(job);
+    this._emit();
+    this._pump();
+    return job;
+  }
+
+  cancel(id) {
+    const job = this.jobs.find(j => j.id === id);
+    if (!job) return;
+    if (job.state === 'running') job.ctrl.abort();
+    else if (job.state === 'queued') { job.state = 'cancelled'; job.blob = null; this._emit(); }
+  }
+
+  // Drop finished/failed/cancelled jobs from the list
+  clearFinished() {
+    this.jobs = this.jobs.filter(j => j.state === 'queued' || j.state === 'running');
+    this._emit();
+  }
+
+  get active() { return this.jobs.find(j => j.state === 'running') || null; }
+
+  _emit() { this.onUpdate && this.onUpdate(this.jobs); }
+
+  async _pump() {
+    if (this._running) return;
+    this._running = true;
+    try {
+      let job;
+      while ((job = this.jobs.find(j => j.state === 'queued'))) {
+        job.state = 'running';
+        job.ctrl = new AbortController();
+        this._emit();
+        try {
+          const out = await convertWebMBlob(job.blob, job.spec, {
+            fps: job.fps,
+            signal: job.ctrl.signal,
+            onProgress: (p) => { job.progress = p; this._emit(); }
+          });
+          job.state = 'done';
+          job.progress = 1;
+          this.onDone && this.onDone(job, out);
+        } catch (e) {
+          job.state = e.name === 'AbortError' ? 'cancelled' : 'failed';
+          job.error = job.state === 'failed' ? e.message : null;
+        }
+        job.blob = null;
+        job.ctrl = null;
+        this._emit();
+      }
+    } finally {
+      this._running = false;
+    }
+  }
+}
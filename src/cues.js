@@ -0,0 +1,150 @@
+// Text overlay data: cues { start, end, text } in track seconds, from the UI's cue list or an imported
+// LRC / SRT file, plus the overlay's look. Pure data (no DOM, no three) so the CLI and project.js
+// can use it too; overlay.js draws it.
+// A "|" in the text starts a new line; lines after the first are drawn smaller (title | artist).
+
+const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+
+// Last LRC line / open-ended cue stays up this long
+const OPEN_CUE_SECONDS = 5;
+
+export function normalizeCues(list) {
+  if (!Array.isArray(list)) return [];
+  return list
+    .filter(c => c && isNum(+c.start) && typeof c.text === 'string' && c.text.trim())
+    .map(c => {
+      const start = Math.max(0, +c.start);
+      const end = isNum(+c.end) && +c.end > start ? +c.end : start + OPEN_CUE_SECONDS;
+      return { start, end, text: c.text.trim() };
+    })
+    .sort((a, b) => a.start - b.start);
+}
+
+// "75", "1:15", "1:15.5", "01:01:15,500" → seconds (NaN when unreadable)
+export function parseTimecode(s) {
+  const m = /^(?:(\d+):)?(?:(\d+):)?(\d+(?:[.,]\d+)?)$/.exec(String(s).trim());
+  if (!m) return NaN;
+  const parts = [m[1], m[2]].filter(p => p !== undefined).map(Number);
+  return [...parts, parseFloat(m[3].replace(',', '.'))].reduce((acc, p) => acc * 60 + p, 0);
+}
+
+export function formatTimecode(t) {
+  const m = Math.floor(t / 60), s = t - m * 60;
+  return `${m}:${s.toFixed(2).padStart(5, '0')}`;
+}
+
+/**
+ * LRC lyrics: "[mm:ss.xx] line", several stamps per line allowed; a line ends where the next begins.
+ * Metadata tags ([ar:], [ti:], [offset:] …) are skipped except offset (ms, applied to every stamp).
+ */
+export function parseLRC(text) {
+  const stamps = [];
+  let offset = 0;
+  for (const raw of String(text || '').split(/\r?\n/)) {
+    const off = /^\[offset:\s*([+-]?\d+)\]/i.exec(raw.trim());
+    if (off) { offset = +off[1] / 1000; continue; }
+    const times = [];
+    let rest = raw.trim(), m;
+    // [mm:ss.xx], also the [mm:ss:xx] variant some editors write
+    while ((m = /^\[(\d+):(\d+)(?:[.:](\d+))?\]/.exec(rest))) {
+      times.push(+m[1] * 60 + parseFloat(`${m[2]}.${m[3] || 0}`));
+      rest = rest.slice(m[0].length);
+    }
+    for (const t of times) if (isNum(t)) stamps.push({ t, text: rest.trim() });
+  }
+  stamps.sort((a, b) => a.t - b.t);
+  // LRC has no end times: blank lines close the previous lyric, otherwise the next stamp does
+  return normalizeCues(stamps.map((s, i) => ({ start: s.t - offset, end: i + 1 < stamps.length ? stamps[i + 1].t - offset : undefined, text: s.text })));
+}
+
+// SRT subtitles: numbered blocks with "hh:mm:ss,mmm --> hh:mm:ss,mmm" and one or more text lines
+export function parseSRT(text) {
+  const cues = [];
+  for (const block of String(text || '').replace(/\r/g, '').split(/\n\s*\n/)) {
+    const lines = block.split('\n').map(l => l.trim()).filter(Boolean);
+    const i = lines.findIndex(l => l.includes('-->'));
+    if (i < 0) continue;
+    const [a, b] = lines[i].split('-->').map(s => parseTimecode(s.trim().split(/\s+/)[0]));
+    // drop simple markup (<i>, {\an8}); multi-line subtitles join with the line-break marker
+    const body = lines.slice(i + 1).map(l => l.replace(/<[^>]+>|\{[^}]*\}/g, '')).join(' | ');
+    if (isNum(a)) cues.push({ start: a, end: b, text: body });
+  }
+  return normalizeCues(cues);
+}
+
+/**
+ * The UI's cue list, one cue per line:
+ *   0:00-0:05 Song Title | Artist
+ *   12.5 first lyric line          (no end: runs until the next cue)
+ * Blank lines and lines starting with # are skipped. Throws with the offending line number.
+ */
+export function parseCueList(text) {
+  const cues = [];
+  String(text || '').split('\n').forEach((raw, n) => {
+    const line = raw.trim();
+    if (!line || line.startsWith('#')) return;
+    const m = /^([\d:.,]+)(?:\s*-\s*([\d:.,]+))?\s+(.+)$/.exec(line);
+    const start = m ? parseTimecode(m[1]) : NaN;
+    if (!isNum(start)) throw new Error(`Cue line ${n + 1}: expected "0:12.5 text" or "0:12-0:15 text"`);
+    cues.push({ start, end: m[2] ? parseTimecode(m[2]) : undefined, text: m[3] });
+  });
+  cues.sort((a, b) => a.start - b.start);
+  cues.forEach((c, i) => { if (c.end === undefined && i + 1 < cues.length) c.end = cues[i + 1].start; });
+  return normalizeCues(cues);
+}
+
+export function formatCues(cues) {
+  return normalizeCues(cues).map(c => `${formatTimecode(c.start)}-${formatTimecode(c.end)} ${c.text}`).join('\n');
+}
+
+// Pick the parser by file name, falling back to sniffing the content
+export function parseCueFile(name, text) {
+  const ext = String(name || '').toLowerCase().split('.').pop();
+  if (ext === 'lrc' || /^\s*\[\d+:\d+/m.test(text)) return parseLRC(text);
+  if (ext === 'srt' || /-->/.test(text)) return parseSRT(text);
+  return parseCueList(text);
+}
+
+// Cues showing at t (overlapping cues stack)
+export function cuesAt(cues, t) {
+  return cues.filter(c => t >= c.start && t < c.end);
+}
+
+// --- Overlay look ---
+export const OVERLAY_FONTS = {
+  sans: '"Inter", system-ui, -apple-system, "Segoe UI", Roboto, Arial, sans-serif',
+  serif: 'Georgia, "Times New Roman", serif',
+  mono: '"JetBrains Mono", "Courier New", monospace',
+  display: 'Impact, "Arial Black", sans-serif'
+};
+export const OVERLAY_POSITIONS = ['bottom', 'center', 'top', 'lower-third'];
+export const OVERLAY_ANIMS = ['fade', 'scale', 'slide', 'none'];
+export const LOGO_POSITIONS = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+
+export const OVERLAY_DEFAULTS = {
+  font: 'sans', weight: 700, size: 6,  // size: % of frame height
+  color: '#ffffff', shadow: 0.6,        // soft drop shadow strength 0..1
+  position: 'bottom', anim: 'fade', fade: 0.35,  // seconds in and out
+  pulse: 0.3,                           // beat-reactive scale/glow 0..1
+  logoPosition: 'top-right', logoSize: 12, logoOpacity: 0.85  // logoSize: % of frame height
+};
+
+// Overlay settings from a project / UI, unknown or invalid fields back to defaults
+export function normalizeOverlay(o = {}) {
+  const d = OVERLAY_DEFAULTS;
+  const num = (v, def, min, max) => (Number.isFinite(+v) && v !== null && v !== '' ? Math.max(min, Math.min(max, +v)) : def);
+  return {
+    font: OVERLAY_FONTS[o.font] ? o.font : d.font,
+    weight: num(o.weight, d.weight, 100, 900),
+    size: num(o.size, d.size, 1, 30),
+    color: /^#[0-9a-f]{6}$/i.test(o.color) ? o.color : d.color,
+    shadow: num(o.shadow, d.shadow, 0, 1),
+    position: OVERLAY_POSITIONS.includes(o.position) ? o.position : d.position,
+    anim: OVERLAY_ANIMS.includes(o.anim) ? o.anim : d.anim,
+    fade: num(o.fade, d.fade, 0, 5),
+    pulse: num(o.pulse, d.pulse, 0, 1),
+    logoPosition: LOGO_POSITIONS.includes(o.logoPosition) ? o.logoPosition : d.logoPosition,
+    logoSize: num(o.logoSize, d.logoSize, 2, 50),
+    logoOpacity: num(o.logoOpacity, d.logoOpacity, 0, 1)
+  };
+}
@@ -0,0 +1,87 @@
+// Timestamped music events for the visuals, from either the procedural arrangement or an analyzed track.
+// A source answers between(t0, t1) → events with t0 <= t < t1, sorted by time. Because it is a pure
+// function of the time window, live playback and frame-stepped offline renders see the same events.
+//   kick | snare | hat | hit   { t, type, vel }               (hit = uploaded onset that isn't kick/hat)
+//   bass | note                { t, type, midi, vel }         (note = lead melody)
+//   chord                      { t, type, degree, midi: [], vel }
+//   bar                        { t, type, bar }
+import { barEvents } from './arrangement.js';
+
+const TYPE = { chords: 'chord', lead: 'note', bass: 'bass', kick: 'kick', snare: 'snare', hat: 'hat' };
+
+// Events of a composePiece() piece; time 0 is the first downbeat (Tone.Transport position 0)
+export function pieceEventSource(piece) {
+  const barSec = 240 / piece.bpm, six = barSec / 16;
+  const cache = new Map();
+  const bar = (b) => {
+    if (!cache.has(b)) {
+      if (cache.size > 64) cache.clear();
+      const t0 = b * barSec;
+      const list = [{ t: t0, type: 'bar', bar: b }];
+      for (const e of barEvents(piece, b)) {
+        const ev = { t: t0 + e.step * six, type: TYPE[e.inst], vel: e.vel };
+        if (e.inst === 'chords') ev.degree = piece.degrees[b % piece.degrees.length];
+        if (e.midi !== null) ev.midi = e.midi;
+        list.push(ev);
+      }
+      cache.set(b, list);
+    }
+    return cache.get(b);
+  };
+  const source = {
+    kind: 'piece',
+    between(t0, t1) {
+      const out = [];
+      if (!(t1 > t0)) return out;
+      for (let b = Math.max(0, Math.floor(t0 / barSec)); b * barSec < t1; b++) {
+        for (const e of bar(b)) if (e.t >= t0 && e.t < t1) out.push(e);
+      }
+      return out;
+    },
+    // Decaying pulse from the last kick actually played (silent sections give no pulse)
+    pulseAt(t) {
+      const width = 0.15 * (60 / piece.bpm);
+      const kicks = source.between(Math.max(0, t - width), t + 1e-6).filter(e => e.type === 'kick');
+      const k = kicks[kicks.length - 1];
+      return k ? k.vel * Math.max(0, 1 - (t - k.t) / width) : 0;
+    }
+  };
+  return source;
+}
+
+// Onset peaks of an analyzeBuffer() result, split into kick / hat / hit by which band rose most,
+// plus a bar event on every tracked downbeat.
+export function analysisEventSource(analysis) {
+  const list = [];
+  const on = analysis?.onset;
+  const env = analysis?.bands?.env;
+  if (on && on.length) {
+    const fr = analysis.sampleRate / analysis.hop;
+    const minGap = Math.max(1, Math.round(0.07 * fr));
+    const low = env && env.length ? env[0] : null, high = env && env.length > 1 ? env[env.length - 1] : null;
+    const rise = (e, i) => (e ? e[i] - e[Math.max(0, i - 2)] : 0);
+    let last = -Infinity;
+    for (let i = 1; i < on.length - 1; i++) {
+      if (on[i] < 1.0 || on[i] < on[i - 1] || on[i] < on[i + 1] || i - last < minGap) continue;
+      last = i;
+      const lo = rise(low, i), hi = rise(high, i);
+      const type = lo > 0.05 && lo >= hi ? 'kick' : hi > 0.05 ? 'hat' : 'hit';
+      list.push({ t: i / fr, type, vel: Math.min(1, Math.max(0.2, on[i] / 6)) });
+    }
+  }
+  (analysis?.downbeats || []).forEach((t, bar) => list.push({ t, type: 'bar', bar }));
+  list.sort((a, b) => a.t - b.t);
+
+  const lowerBound = (t) => {
+    let lo = 0, hi = list.length;
+    while (lo < hi) { const mid = (lo + hi) >> 1; if (list[mid].t < t) lo = mid + 1; else hi = mid; }
+    return lo;
+  };
+  return {
+    kind: 'analysis',
+    between(t0, t1) {
+      if (!(t1 > t0)) return [];
+      return list.slice(lowerBound(t0), lowerBound(t1));
+    }
+  };
+}
@@ -1,43 +1,156 @@
-// In-browser WebM → MP4/MOV conversion using FFmpeg.wasm (ESM)
+// In-browser conversion and frame encoding using FFmpeg.wasm (ESM); codec settings come from presets.js
+import { outputArgs } from './presets.js';
+import { makeZip } from './zip.js';
+
 let ff, util, ffmpeg;
 
-async function ensureFFmpeg() {
-  if (ffmpeg) return ffmpeg;
+async function loadModules() {
+  if (ff) return;
   // NB: versions here are commonly workable; if you change, keep both packages aligned.
   ff = await import('https://unpkg.com/@ffmpeg/ffmpeg@0.12.6/dist/esm/index.js');
   util = await import('https://unpkg.com/@ffmpeg/util@0.12.6/dist/esm/index.js');
+}
+
+// Shared instance for frame encoding (Render Take)
+async function ensureFFmpeg() {
+  if (ffmpeg) return ffmpeg;
+  await loadModules();
   ffmpeg = new ff.FFmpeg();
   await ffmpeg.load();
   return ffmpeg;
 }
 
+let jobId = 0;
+
+// x264 speed preset for wasm (single-threaded; 'medium' is painfully slow there)
+const WASM_SPEED = 'veryfast';
+
+/**
+ * Convert a recorded WebM (or native MP4) Blob using a resolved export preset (see presets.js).
+ * PNG sequences come back as a ZIP of frames.
+ * Options: fps of the recording; onProgress(0..1) from ffmpeg's own progress events; signal (AbortSignal) stops the
+ * conversion at the next step, or mid-encode by terminating its worker. Every conversion runs in
+ * its own ffmpeg instance, so cancelling or progress never reaches a Render Take encoder or another job.
+ */
+export async function convertWebMBlob(blob, spec, { fps = 60, onProgress, signal } = {}) {
+  const check = () => { if (signal?.aborted) throw abortError(); };
+  check();
+  await loadModules();
+  check();
+
+  const ffm = new ff.FFmpeg();
+  const id = ++jobId;
+  const inName = `in_${id}.${(blob.type || '').includes('mp4') ? 'mp4' : 'webm'}`;
+  const seq = spec.codec === 'png';
+  const outName = seq ? `seq_${id}_%06d.png` : `out_${id}.${spec.ext}`;
+  const args = ['-i', inName, ...outputArgs(spec, { fps, hasAudio: true, speed: WASM_SPEED }), outName];
+
+  const abort = () => ffm.terminate();
+  signal?.addEventListener('abort', abort, { once: true });
+  ffm.on('progress', ({ progress: p }) => onProgress && Number.isFinite(p) && onProgress(Math.max(0, Math.min(1, p))));
+  try {
+    await ffm.load();
+    check();
+    const data = await util.fetchFile(blob);
+    check();
+    await ffm.writeFile(inName, data);
+    check();
+    const ret = await ffm.exec(args);
+    check();
+    if (ret !== 0) throw execError(spec, args, ret);
+    if (seq) return await zipSequence(ffm, `seq_${id}_`, 'frame_');
+    const out = await ffm.readFile(outName);
+    return new Blob([out.buffer], { type: spec.mime });
+  } catch (e) {
+    throw signal?.aborted ? abortError() : e;
+  } finally {
+    signal?.removeEventListener('abort', abort);
+    // a terminated worker has already dropped its filesystem
+    if (!signal?.aborted) {
+      try {
+        const left = (await ffm.listDir('/')).filter(f => !f.isDir && (f.name === inName || f.name.startsWith(`out_${id}.`) || f.name.startsWith(`seq_${id}_`)));
+        for (const f of left) { try { await ffm.deleteFile(f.name); } catch {} }
+      } catch {}
+      try { ffm.terminate(); } catch {}
+    }
+  }
+}
+
+// ffmpeg.wasm reports failures through exec()'s exit code rather than by rejecting
+function execError(spec, args, ret) {
+  return new Error(`ffmpeg exited with code ${ret} encoding preset "${spec.name}": ffmpeg ${args.join(' ')}`);
+}
+
+function abortError() {
+  const e = new Error('Conversion cancelled');
+  e.name = 'AbortError';
+  return e;
+}
+
+// Collect (and delete) the wasm-FS files starting with `prefix` into a ZIP, renamed to `rename` + the rest
+async function zipSequence(ffm, prefix, rename) {
+  const names = (await ffm.listDir('/')).filter(f => !f.isDir && f.name.startsWith(prefix)).map(f => f.name).sort();
+  const files = [];
+  for (const name of names) {
+    files.push({ name: rename + name.slice(prefix.length), data: await ffm.readFile(name) });
+    try { await ffm.deleteFile(name); } catch {}
+  }
+  return makeZip(files);
+}
+
 /**
- * Convert a recorded WebM Blob into MP4 or MOV.
- * Strategy: prefer broadly-supported MPEG-4 Part 2 video for wasm reliability.
- * MP4:  mpeg4 video + AAC audio
- * MOV:  mpeg4 video + PCM audio
+ * Assemble an image sequence (plus optional audio) into a video.
+ * Frames are written to the wasm FS as they arrive so the caller can stream from a renderer.
+ * spec: a resolved export preset (presets.js resolvePreset); PNG sequences skip ffmpeg and zip the frames.
+ * finish({ audio: { blob, start } }) trims the audio to the frame count and muxes it in.
+ * dispose() drops whatever is still in the FS; call it when a render fails or is cancelled.
  */
-export async function convertWebMBlob(blob, fmt = 'mp4') {
-  if (!['mp4','mov'].includes(fmt)) throw new Error('fmt must be mp4 or mov');
-  const ffm = await ensureFFmpeg();
-
-  const inName = 'in.webm';
-  const outName = fmt === 'mp4' ? 'out.mp4' : 'out.mov';
-  await ffm.writeFile(inName, await util.fetchFile(blob));
-
-  const args = fmt === 'mp4'
-    ? ['-i','in.webm','-vf','pad=ceil(iw/2)*2:ceil(ih/2)*2',
-       '-c:v','mpeg4','-q:v','3',
-       '-c:a','aac','-b:a','192k',
-       '-movflags','+faststart',
-       outName]
-    : ['-i','in.webm','-vf','pad=ceil(iw/2)*2:ceil(ih/2)*2',
-       '-c:v','mpeg4','-q:v','3',
-       '-c:a','pcm_s16le',
-       '-f','mov', outName];
-
-  await ffm.exec(args);
-  const data = await ffm.readFile(outName);
-  const type = fmt === 'mp4' ? 'video/mp4' : 'video/quicktime';
-  return new Blob([data.buffer], { type });
+export async function createFrameEncoder({ fps = 60, spec, ext = 'png' } = {}) {
+  if (!spec) throw new Error('createFrameEncoder needs an export preset');
+  const seq = spec.codec === 'png' && ext === 'png';
+  const ffm = seq ? null : await ensureFFmpeg();
+  const frameName = (i) => `f_${String(i).padStart(6, '0')}.${ext}`;
+  const frames = [];
+  let count = 0;
+  const outName = `out.${spec.ext}`;
+
+  async function dispose() {
+    frames.length = 0;
+    if (!seq) {
+      for (let i = 0; i < count; i++) { try { await ffm.deleteFile(frameName(i)); } catch {} }
+      for (const name of [outName, 'audio.in']) { try { await ffm.deleteFile(name); } catch {} }
+    }
+    count = 0;
+  }
+
+  return {
+    async addFrame(blob) {
+      if (seq) frames.push({ name: `frame_${String(count + 1).padStart(6, '0')}.png`, data: new Uint8Array(await blob.arrayBuffer()) });
+      else await ffm.writeFile(frameName(count), await util.fetchFile(blob));
+      count++;
+    },
+
+    dispose,
+
+    async finish({ audio = null } = {}) {
+      if (seq) return makeZip(frames.splice(0));
+      const args = ['-framerate', String(fps), '-i', `f_%06d.${ext}`];
+      const hasAudio = !!(audio && audio.blob) && spec.audioCodec !== 'none';
+      if (hasAudio) {
+        await ffm.writeFile('audio.in', await util.fetchFile(audio.blob));
+        args.push('-ss', String(audio.start || 0), '-t', String(count / fps), '-i', 'audio.in', '-map', '0:v', '-map', '1:a');
+      }
+      args.push(...outputArgs(spec, { fps, hasAudio, speed: WASM_SPEED }), '-shortest', outName);
+
+      let data;
+      try {
+        const ret = await ffm.exec(args);
+        if (ret !== 0) throw execError(spec, args, ret);
+        data = await ffm.readFile(outName);
+      } finally {
+        await dispose();
+      }
+      return new Blob([data.buffer], { type: spec.mime });
+    }
+  };
 }
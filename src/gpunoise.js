@@ -0,0 +1,98 @@
+// GPU port of the Perlin fBm vertex displacement in Visuals.update(). The permutation table of
+// noise.js is uploaded as a 256×1 texture, so a seed produces the same shape on either path.
+// Needs WebGL2 (texelFetch + integer bit ops); Visuals keeps the CPU loop as the fallback.
+import * as THREE from 'https://unpkg.com/three@0.160.0/build/three.module.js';
+
+// Mirrors Perlin.noise3/fbm3 (improved noise, 5 octaves, lacunarity 2, gain 0.5)
+const NOISE_GLSL = /* glsl */`
+uniform sampler2D uPerm;
+uniform float uNoiseFreq;
+uniform float uNoiseAmp;
+uniform float uNoiseTime;
+
+int cnPerm(int i) { return int(texelFetch(uPerm, ivec2(i & 255, 0), 0).r * 255.0 + 0.5); }
+
+float cnGrad(int hash, float x, float y, float z) {
+  int h = hash & 15;
+  float u = h < 8 ? x : y;
+  float v = h < 4 ? y : (h == 12 || h == 14 ? x : z);
+  return ((h & 1) != 0 ? -u : u) + ((h & 2) != 0 ? -v : v);
+}
+
+float cnNoise3(vec3 p) {
+  vec3 fl = floor(p);
+  int X = int(fl.x) & 255, Y = int(fl.y) & 255, Z = int(fl.z) & 255;
+  vec3 f = p - fl;
+  vec3 w = f * f * f * (f * (f * 6.0 - 15.0) + 10.0);
+  int A = cnPerm(X) + Y, AA = cnPerm(A) + Z, AB = cnPerm(A + 1) + Z;
+  int B = cnPerm(X + 1) + Y, BA = cnPerm(B) + Z, BB = cnPerm(B + 1) + Z;
+  return mix(
+    mix(mix(cnGrad(cnPerm(AA), f.x, f.y, f.z),             cnGrad(cnPerm(BA), f.x - 1.0, f.y, f.z), w.x),
+        mix(cnGrad(cnPerm(AB), f.x, f.y - 1.0, f.z),       cnGrad(cnPerm(BB), f.x - 1.0, f.y - 1.0, f.z), w.x), w.y),
+    mix(mix(cnGrad(cnPerm(AA + 1), f.x, f.y, f.z - 1.0),       cnGrad(cnPerm(BA + 1), f.x - 1.0, f.y, f.z - 1.0), w.x),
+        mix(cnGrad(cnPerm(AB + 1), f.x, f.y - 1.0, f.z - 1.0), cnGrad(cnPerm(BB + 1), f.x - 1.0, f.y - 1.0, f.z - 1.0), w.x), w.y),
+    w.z);
+}
+
+float cnFbm3(vec3 p) {
+  float amp = 0.5, freq = 1.0, sum = 0.0;
+  for (int i = 0; i < 5; i++) {
+    sum += amp * cnNoise3(p * freq);
+    freq *= 2.0;
+    amp *= 0.5;
+  }
+  return sum;
+}
+
+// same offsets as the CPU loop: radial scale by 1 + amp * fbm
+vec3 cnDisplace(vec3 p) {
+  float n = cnFbm3(vec3(p.x * uNoiseFreq + uNoiseTime, p.y * uNoiseFreq + 3.123, p.z * uNoiseFreq - 1.789));
+  return p * (1.0 + uNoiseAmp * n);
+}
+
+// Displaced position plus a finite-difference normal taken in the undisplaced tangent plane
+vec3 cnDisplaceWithNormal(vec3 p, inout vec3 n) {
+  vec3 dp = cnDisplace(p);
+  vec3 up = abs(n.y) < 0.99 ? vec3(0.0, 1.0, 0.0) : vec3(1.0, 0.0, 0.0);
+  vec3 t = normalize(cross(n, up));
+  vec3 b = cross(n, t);
+  const float e = 0.01;
+  vec3 nn = cross(cnDisplace(p + t * e) - dp, cnDisplace(p + b * e) - dp);
+  if (dot(nn, nn) > 1e-12) n = normalize(nn);
+  return dp;
+}
+`;
+
+// Uniforms shared by every material the displacement is installed on
+export function createNoiseUniforms() {
+  const tex = new THREE.DataTexture(new Uint8Array(256), 256, 1, THREE.RedFormat, THREE.UnsignedByteType);
+  tex.minFilter = tex.magFilter = THREE.NearestFilter;
+  tex.generateMipmaps = false;
+  return {
+    uPerm: { value: tex },
+    uNoiseFreq: { value: 0.55 },
+    uNoiseAmp: { value: 0 },
+    uNoiseTime: { value: 0 }
+  };
+}
+
+// Copy a Perlin's permutation table into the uniforms (call after every setSeed)
+export function syncPermutation(uniforms, perlin) {
+  const tex = uniforms.uPerm.value;
+  tex.image.data.set(perlin._perm.subarray(0, 256));
+  tex.needsUpdate = true;
+}
+
+// Patch a built-in lit material so its vertex stage applies the fBm displacement.
+// The material's own displacementMap still runs afterwards, along the new normal.
+export function installDisplacement(material, uniforms) {
+  material.onBeforeCompile = (shader) => {
+    Object.assign(shader.uniforms, uniforms);
+    shader.vertexShader = shader.vertexShader
+      .replace('#include <common>', `#include <common>\n${NOISE_GLSL}`)
+      .replace('#include <beginnormal_vertex>', '#include <beginnormal_vertex>\nvec3 cnPosition = cnDisplaceWithNormal(position, objectNormal);')
+      .replace('#include <begin_vertex>', '#include <begin_vertex>\ntransformed = cnPosition;');
+  };
+  material.customProgramCacheKey = () => 'coopernoise-fbm';
+  return material;
+}
@@ -0,0 +1,96 @@
+// Page-side API for the headless render CLI (render.html). Node drives it through Puppeteer:
+// setup() loads the track and style, render() steps the OfflineRenderer and hands every frame
+// to window.__coopernoiseFrame (exposed by the CLI), which pipes it into ffmpeg.
+import { Visuals } from './visuals.js';
+import { AudioEngine } from './audio.js';
+import { OfflineRenderer } from './offline.js';
+import { parsePrompt } from './prompts.js';
+import { gridAnalysis } from './analyze.js';
+import { loadAsset } from './assets.js';
+import { loadModel, modelShape } from './models.js';
+
+let visuals = null, analysis = null, barSeconds = 2.0, job = null;
+
+async function fetchAsset(url, name) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`Asset fetch failed (${name}): ${res.status}`);
+  return loadAsset(await res.blob(), name);
+}
+
+function blobToBase64(blob) {
+  return new Promise((resolve, reject) => {
+    const r = new FileReader();
+    r.onload = () => resolve(String(r.result).split(',')[1] || '');
+    r.onerror = () => reject(r.error);
+    r.readAsDataURL(blob);
+  });
+}
+
+window.coopernoise = {
+  // { seed, w, h, prompt, style, timeline, modRoutes, sections, overlay, cues, transition, camera, assets: { map, disp, logo } (urls) + { models: [{ url, name, subdivide }] }, shape, audioUrl, bpm, bands, inOffset, outOffset, duration, gpuNoise } → resolved timing
+  // { start, duration, bpm, bands, gpuNoise, ignored }; ignored lists prompt words the parser didn't recognize.
+  // gpuNoise: false forces the CPU displacement path (null = GPU when WebGL2 is available).
+  // A resolved `style` (from a project file) takes precedence over re-interpreting `prompt`.
+  async setup({ seed = '123456', w = 1920, h = 1080, prompt = '', style = null, timeline = [], modRoutes = [], sections = [], overlay = {}, cues = [], transition = {}, camera = {}, assets = {}, shape = 'cycle', audioUrl = null, bpm = 112, bands = 3, inOffset = 0, outOffset = 0, duration = null, gpuNoise = null } = {}) {
+    if (!visuals) visuals = new Visuals({ container: document.querySelector('#canvasWrap'), seed, gpuNoise });
+    visuals.setSeed(seed);
+    visuals.setRenderSize(w, h);
+    let ignored = [];
+    if (style) visuals.applyStyle(style);
+    else if (prompt) { const parsed = parsePrompt(prompt); visuals.applyStyle(parsed.style); ignored = parsed.ignored; }
+    visuals.setTimeline(timeline);
+    visuals.setModRoutes(modRoutes);
+    visuals.setTransition(transition);
+    visuals.setCamera(camera);
+    const map = assets.map ? await fetchAsset(assets.map, 'map') : null;
+    const disp = assets.disp ? await fetchAsset(assets.disp, 'disp') : null;
+    if (disp && disp.kind !== 'image') throw new Error('Displacement maps must be images.');
+    visuals.setTextures({
+      mapTex: map && map.kind === 'image' ? map.texture : null,
+      videoTex: map && map.kind === 'video' ? map.texture : null,
+      dispTex: disp ? disp.texture : null
+    });
+    let logo = null;
+    if (assets.logo) {
+      const res = await fetch(assets.logo);
+      if (!res.ok) throw new Error(`Asset fetch failed (logo): ${res.status}`);
+      logo = await createImageBitmap(await res.blob());
+    }
+    visuals.setOverlay({ settings: overlay, cues, logo });
+    for (const m of assets.models || []) {
+      const model = await loadModel(m.url, { name: m.name, subdivide: m.subdivide });
+      visuals.addModel(modelShape(model.name), model.geometry);
+    }
+
+    let start = 0, len = duration;
+    if (audioUrl) {
+      const res = await fetch(audioUrl);
+      if (!res.ok) throw new Error(`Audio fetch failed: ${res.status}`);
+      const eng = new AudioEngine();
+      eng.setBands(bands);
+      analysis = await eng.loadFile(await res.blob());
+      barSeconds = eng.getBarSeconds();
+      start = Math.min(Math.max(0, +inOffset || 0), Math.max(0, analysis.duration - 0.001));
+      // takes never run past the out point
+      const region = Math.max(0.1, analysis.duration - start - Math.max(0, +outOffset || 0));
+      len = len ? Math.min(len, region) : region;
+    } else {
+      len = len || 60;
+      analysis = gridAnalysis({ bpm, duration: len });
+      barSeconds = 240 / analysis.bpm;
+    }
+    job = { seed, shape, start, duration: len, sections: sections.length ? sections : null };
+    return { start, duration: len, bpm: analysis.bpm, gpuNoise: visuals.gpuNoise, ignored };
+  },
+
+  async render({ fps = 60, mime = 'image/png' } = {}) {
+    if (!job) throw new Error('Call setup() before render().');
+    const offline = new OfflineRenderer(visuals);
+    return offline.render({
+      analysis, sections: job.sections, seed: job.seed, shape: job.shape, fps, start: job.start, duration: job.duration, barSeconds, mime,
+      onFrame: async (blob, i) => window.__coopernoiseFrame(await blobToBase64(blob), i)
+    });
+  }
+};
+
+window.coopernoiseReady = true;
@@ -0,0 +1,318 @@
+// Scene layers around the primary mesh: instanced satellites orbiting it, a GPU particle field that
+// bursts on kicks, and a sky sphere (gradient / starfield / noise) replacing the flat background color.
+// Layers are plain style fields (LAYER_DEFAULTS), so prompts, the timeline and the modulation matrix
+// switch and drive them. Each layer derives its own parameters from the project seed, and motion is
+// integrated from t (reset on rewind), so offline renders repeat exactly.
+import * as THREE from 'https://unpkg.com/three@0.160.0/build/three.module.js';
+import { mulberry32 } from './noise.js';
+
+export const LAYER_DEFAULTS = {
+  satellites: 0,            // orbiting instances; 0 = off
+  satelliteShape: 'icosa',  // 'icosa' | 'box' | 'sphere' | 'tetra' | 'torus'
+  satelliteOrbit: 3.4,      // mean orbit radius
+  satelliteSize: 0.22,
+  particles: 0,             // particle field density 0..1; 0 = off
+  particleBurst: 0.7,       // how far kicks throw the particles
+  background: 'flat',       // 'flat' | 'gradient' | 'stars' | 'noise'
+  bgIntensity: 1            // sky brightness
+};
+
+export const BACKGROUNDS = ['flat', 'gradient', 'stars', 'noise'];
+const MAX_SATELLITES = 64;
+const MAX_PARTICLES = 6000;
+const BURSTS = 4; // simultaneous bursts the particle shader keeps track of
+
+// per-layer seed salts, so one layer's parameters don't shift when another layer changes
+const SALT = { satellites: 0x5a7e1, particles: 0x9a871c, sky: 0x51c0 };
+
+const SAT_GEOMETRY = {
+  icosa: () => new THREE.IcosahedronGeometry(1, 0),
+  box: () => new THREE.BoxGeometry(1.4, 1.4, 1.4),
+  sphere: () => new THREE.SphereGeometry(1, 16, 12),
+  tetra: () => new THREE.TetrahedronGeometry(1.2, 0),
+  torus: () => new THREE.TorusGeometry(0.8, 0.3, 10, 24)
+};
+export const SATELLITE_SHAPES = Object.keys(SAT_GEOMETRY);
+
+class SatelliteLayer {
+  constructor(scene) {
+    this.material = new THREE.MeshStandardMaterial({ metalness: 0.6, roughness: 0.3, emissive: new THREE.Color(0x000000) });
+    this.scene = scene;
+    this.mesh = null;
+    this.shape = null;
+    this.orbits = [];
+    this._m = new THREE.Matrix4();
+    this._q = new THREE.Quaternion();
+    this._e = new THREE.Euler();
+    this._p = new THREE.Vector3();
+    this._s = new THREE.Vector3();
+  }
+
+  setSeed(seed) {
+    const rand = mulberry32((seed ^ SALT.satellites) >>> 0);
+    this.orbits = Array.from({ length: MAX_SATELLITES }, () => ({
+      radius: 0.75 + 0.5 * rand(),           // × satelliteOrbit
+      tilt: (rand() - 0.5) * Math.PI * 0.8,  // orbit plane inclination
+      node: rand() * Math.PI * 2,            // orbit plane rotation about y
+      phase: rand() * Math.PI * 2,
+      speed: (0.4 + 0.8 * rand()) * (rand() < 0.3 ? -1 : 1),
+      size: 0.6 + 0.8 * rand(),
+      spin: new THREE.Vector3(rand() - 0.5, rand() - 0.5, rand() - 0.5).multiplyScalar(4)
+    }));
+  }
+
+  _build(shape) {
+    if (this.mesh) { this.scene.remove(this.mesh); this.mesh.geometry.dispose(); this.mesh.dispose(); }
+    this.shape = shape;
+    this.mesh = new THREE.InstancedMesh((SAT_GEOMETRY[shape] || SAT_GEOMETRY.icosa)(), this.material, MAX_SATELLITES);
+    this.mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+    this.mesh.frustumCulled = false;
+    this.scene.add(this.mesh);
+  }
+
+  update(style, phase, pulse, kick) {
+    const n = Math.max(0, Math.min(MAX_SATELLITES, Math.round(style.satellites || 0)));
+    if (!n) { if (this.mesh) this.mesh.visible = false; return; }
+    const shape = SAT_GEOMETRY[style.satelliteShape] ? style.satelliteShape : 'icosa';
+    if (!this.mesh || this.shape !== shape) this._build(shape);
+    this.mesh.visible = true;
+    this.mesh.count = n;
+
+    const orbit = style.satelliteOrbit * (1 + 0.15 * kick);
+    const size = style.satelliteSize * (1 + 0.25 * pulse);
+    for (let i = 0; i < n; i++) {
+      const o = this.orbits[i];
+      const a = o.phase + phase * o.speed;
+      const r = orbit * o.radius;
+      // circle in the xz plane, tilted about x, then turned about y
+      const x = r * Math.cos(a), z = r * Math.sin(a);
+      const y = z * Math.sin(o.tilt), zt = z * Math.cos(o.tilt);
+      this._p.set(x * Math.cos(o.node) - zt * Math.sin(o.node), y, x * Math.sin(o.node) + zt * Math.cos(o.node));
+      this._q.setFromEuler(this._e.set(o.spin.x * phase, o.spin.y * phase, o.spin.z * phase));
+      this._s.setScalar(size * o.size);
+      this.mesh.setMatrixAt(i, this._m.compose(this._p, this._q, this._s));
+    }
+    this.mesh.instanceMatrix.needsUpdate = true;
+
+    const m = this.material;
+    m.color.setHSL(style.hue + 0.33, style.saturation, style.lightness);
+    m.emissive.setHSL(style.hue + 0.38, 0.8, 0.2);
+    m.emissiveIntensity = style.emissive * (0.5 + pulse);
+    m.wireframe = !!style.wireframe;
+  }
+}
+
+const PARTICLE_VERT = /* glsl */`
+uniform float uTime;
+uniform float uSize;
+uniform float uPixel;
+uniform float uBurst;
+uniform float uBurstT[${BURSTS}];
+uniform float uBurstAmp[${BURSTS}];
+attribute float aRand;
+varying float vGlow;
+void main() {
+  // slow swirl about y, a little bob, then radial throws from recent bursts
+  float ang = uTime * (0.04 + 0.08 * aRand);
+  float c = cos(ang), s = sin(ang);
+  vec3 p = vec3(c * position.x - s * position.z, position.y + 0.3 * sin(uTime * 0.5 + aRand * 40.0), s * position.x + c * position.z);
+  float push = 0.0;
+  for (int i = 0; i < ${BURSTS}; i++) {
+    float age = uTime - uBurstT[i];
+    if (age >= 0.0) push += uBurstAmp[i] * (1.0 - exp(-age * 9.0)) * exp(-age * 1.4);
+  }
+  p += normalize(position) * push * uBurst * (1.5 + 2.0 * aRand);
+  vGlow = clamp(push, 0.0, 1.0);
+  vec4 mv = modelViewMatrix * vec4(p, 1.0);
+  gl_PointSize = uSize * (0.5 + aRand) * (1.0 + vGlow) * uPixel / max(0.1, -mv.z);
+  gl_Position = projectionMatrix * mv;
+}`;
+
+const PARTICLE_FRAG = /* glsl */`
+uniform vec3 uColor;
+uniform float uOpacity;
+varying float vGlow;
+void main() {
+  vec2 d = gl_PointCoord - 0.5;
+  float a = smoothstep(0.5, 0.0, length(d));
+  gl_FragColor = vec4(uColor * (0.6 + 1.4 * vGlow), a * uOpacity * (0.5 + 0.5 * vGlow));
+  #include <colorspace_fragment>
+}`;
+
+class ParticleLayer {
+  constructor(scene) {
+    this.geometry = new THREE.BufferGeometry();
+    this.material = new THREE.ShaderMaterial({
+      vertexShader: PARTICLE_VERT, fragmentShader: PARTICLE_FRAG,
+      uniforms: {
+        uTime: { value: 0 }, uSize: { value: 0.06 }, uPixel: { value: 500 }, uBurst: { value: 0.7 },
+        uBurstT: { value: new Array(BURSTS).fill(-1e6) }, uBurstAmp: { value: new Array(BURSTS).fill(0) },
+        uColor: { value: new THREE.Color() }, uOpacity: { value: 0.8 }
+      },
+      transparent: true, depthWrite: false, blending: THREE.AdditiveBlending
+    });
+    this.points = new THREE.Points(this.geometry, this.material);
+    this.points.frustumCulled = false;
+    this.points.visible = false;
+    scene.add(this.points);
+    this.reset();
+  }
+
+  setSeed(seed) {
+    const rand = mulberry32((seed ^ SALT.particles) >>> 0);
+    const pos = new Float32Array(MAX_PARTICLES * 3), rnd = new Float32Array(MAX_PARTICLES);
+    for (let i = 0; i < MAX_PARTICLES; i++) {
+      // uniform direction, radius in a shell around the mesh
+      const u = 2 * rand() - 1, th = 2 * Math.PI * rand(), r = 3 + 9 * Math.pow(rand(), 0.7);
+      const q = Math.sqrt(1 - u * u);
+      pos.set([r * q * Math.cos(th), r * u, r * q * Math.sin(th)], i * 3);
+      rnd[i] = rand();
+    }
+    this.geometry.setAttribute('position', new THREE.BufferAttribute(pos, 3));
+    this.geometry.setAttribute('aRand', new THREE.BufferAttribute(rnd, 1));
+  }
+
+  reset() {
+    this._slot = 0;
+    this.material.uniforms.uBurstT.value.fill(-1e6);
+    this.material.uniforms.uBurstAmp.value.fill(0);
+  }
+
+  burst(t, vel) {
+    const u = this.material.uniforms;
+    u.uBurstT.value[this._slot] = t;
+    u.uBurstAmp.value[this._slot] = vel;
+    this._slot = (this._slot + 1) % BURSTS;
+  }
+
+  update(style, t, pixel) {
+    const n = Math.round(Math.max(0, Math.min(1, style.particles || 0)) * MAX_PARTICLES);
+    this.points.visible = n > 0;
+    if (!n) return;
+    this.geometry.setDrawRange(0, n);
+    const u = this.material.uniforms;
+    u.uTime.value = t;
+    u.uPixel.value = pixel;
+    u.uBurst.value = Math.max(0, style.particleBurst);
+    u.uColor.value.setHSL(style.hue + 0.08, Math.min(1, style.saturation + 0.2), 0.6);
+  }
+}
+
+const SKY_VERT = /* glsl */`
+varying vec3 vDir;
+void main() {
+  vDir = normalize(position);
+  gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+}`;
+
+const SKY_FRAG = /* glsl */`
+uniform int uMode;
+uniform vec3 uLow;
+uniform vec3 uHigh;
+uniform vec3 uAccent;
+uniform float uTime;
+uniform float uSeed;
+uniform float uIntensity;
+uniform float uPulse;
+varying vec3 vDir;
+float hash(vec3 p) { return fract(sin(dot(p + uSeed, vec3(12.9898, 78.233, 37.719))) * 43758.5453); }
+float vnoise(vec3 p) {
+  vec3 i = floor(p), f = fract(p);
+  f = f * f * (3.0 - 2.0 * f);
+  return mix(mix(mix(hash(i), hash(i + vec3(1,0,0)), f.x), mix(hash(i + vec3(0,1,0)), hash(i + vec3(1,1,0)), f.x), f.y),
+             mix(mix(hash(i + vec3(0,0,1)), hash(i + vec3(1,0,1)), f.x), mix(hash(i + vec3(0,1,1)), hash(i + vec3(1,1,1)), f.x), f.y), f.z);
+}
+float fbm(vec3 p) { float a = 0.5, s = 0.0; for (int i = 0; i < 5; i++) { s += a * vnoise(p); p *= 2.03; a *= 0.5; } return s; }
+void main() {
+  vec3 d = normalize(vDir);
+  vec3 col = mix(uLow, uHigh, smoothstep(-0.5, 0.9, d.y));
+  if (uMode == 2) {
+    // stars: one candidate per cell of a direction grid, twinkling at its own rate
+    vec3 p = d * 180.0, cell = floor(p);
+    float h = hash(cell);
+    vec3 c = cell + 0.5 + 0.35 * (vec3(hash(cell + 1.3), hash(cell + 2.7), hash(cell + 4.1)) - 0.5);
+    float star = step(0.975, h) * smoothstep(0.45, 0.0, length(p - c));
+    float tw = 0.6 + 0.4 * sin(uTime * (1.0 + 3.0 * fract(h * 91.0)) + h * 60.0);
+    col = col * 0.6 + star * tw * (0.7 + 0.6 * uPulse) * mix(vec3(1.0), uAccent, 0.3);
+  } else if (uMode == 3) {
+    // noise sky: drifting fBm clouds between the two hues, accent in the dense parts
+    float n = fbm(d * 2.2 + vec3(0.0, 0.0, uTime * 0.02));
+    float m = fbm(d * 4.0 - vec3(uTime * 0.015, 0.0, 0.0));
+    col = mix(uLow, uHigh, smoothstep(0.3, 0.75, n)) + uAccent * smoothstep(0.55, 0.85, m) * (0.35 + 0.3 * uPulse);
+  }
+  gl_FragColor = vec4(col * uIntensity, 1.0);
+  #include <colorspace_fragment>
+}`;
+
+const SKY_MODES = { gradient: 1, stars: 2, noise: 3 };
+
+class SkyLayer {
+  constructor(scene) {
+    this.material = new THREE.ShaderMaterial({
+      vertexShader: SKY_VERT, fragmentShader: SKY_FRAG, side: THREE.BackSide, depthWrite: false,
+      uniforms: {
+        uMode: { value: 1 }, uLow: { value: new THREE.Color() }, uHigh: { value: new THREE.Color() }, uAccent: { value: new THREE.Color() },
+        uTime: { value: 0 }, uSeed: { value: 0 }, uIntensity: { value: 1 }, uPulse: { value: 0 }
+      }
+    });
+    this.mesh = new THREE.Mesh(new THREE.SphereGeometry(400, 48, 24), this.material);
+    this.mesh.renderOrder = -1;
+    this.mesh.frustumCulled = false;
+    this.mesh.visible = false;
+    scene.add(this.mesh);
+  }
+
+  setSeed(seed) {
+    const rand = mulberry32((seed ^ SALT.sky) >>> 0);
+    this.material.uniforms.uSeed.value = Math.floor(rand() * 1000);
+    this.hueOffset = 0.1 + 0.3 * rand(); // where the upper gradient color sits on the wheel
+  }
+
+  update(style, t, pulse, camera) {
+    const mode = SKY_MODES[style.background] || 0;
+    this.mesh.visible = mode > 0;
+    if (!mode) return;
+    this.mesh.position.copy(camera.position); // always at infinity
+    const u = this.material.uniforms;
+    u.uMode.value = mode;
+    u.uLow.value.setHSL(style.hue - 0.06, 0.45, 0.03 + 0.02 * pulse);
+    u.uHigh.value.setHSL(style.hue + this.hueOffset, 0.5, mode === 2 ? 0.06 : 0.16);
+    u.uAccent.value.setHSL(style.hue + 0.5, 0.7, 0.5);
+    u.uTime.value = t;
+    u.uIntensity.value = Math.max(0, style.bgIntensity);
+    u.uPulse.value = pulse;
+  }
+}
+
+export class SceneLayers {
+  constructor(scene) {
+    this.satellites = new SatelliteLayer(scene);
+    this.particles = new ParticleLayer(scene);
+    this.sky = new SkyLayer(scene);
+  }
+
+  // seed: 32-bit integer (Perlin._seed)
+  setSeed(seed) {
+    this.satellites.setSeed(seed);
+    this.particles.setSeed(seed);
+    this.sky.setSeed(seed);
+  }
+
+  reset() {
+    this.particles.reset();
+  }
+
+  // Kick / onset from the event stream (Visuals._applyEvents)
+  burst(t, vel) { this.particles.burst(t, vel); }
+
+  /**
+   * ctx: { t, style, pulse, kick, camera, pixel, orbit } — pixel: drawing-buffer height / (2·tan(fov/2)),
+   * converts world-space particle size to pixels; orbit: satellite orbit phase, a function of t
+   * (Visuals passes 0.3·t + ∫ rotateBase dt, so automated rotateBase doesn't jump the satellites).
+   */
+  update({ t, style, pulse, kick, camera, pixel, orbit }) {
+    this.satellites.update(style, orbit, pulse, kick);
+    this.particles.update(style, t, pixel);
+    this.sky.update(style, t, pulse, camera);
+  }
+}
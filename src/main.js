@@ -1,7 +1,23 @@
 import { Visuals } from './visuals.js';
 import { AudioEngine } from './audio.js';
 import { AVRecorder } from './recorder.js';
-import { interpretPrompt } from './prompts.js';
+import { interpretPrompt, parsePrompt, describePrompt } from './prompts.js';
+import { OfflineRenderer } from './offline.js';
+import { gridAnalysis, barSecondsOf, makeBands, SECTION_LABELS } from './analyze.js';
+import { composePiece } from './arrangement.js';
+import { pieceEventSource } from './events.js';
+import { createFrameEncoder } from './ffmpeg.js';
+import { EXPORT_PRESETS, PIX_FMTS, AUDIO_CODECS, resolvePreset } from './presets.js';
+import { serializeProject, parseProject } from './project.js';
+import { parseKeyframes, formatKeyframes } from './timeline.js';
+import { parseCameraKeys, formatCameraKeys } from './camera.js';
+import { ModPanel } from './modpanel.js';
+import { loadAsset, disposeAsset, detectKind, guessSlot } from './assets.js';
+import { Scrubber } from './scrubber.js';
+import { ConversionQueue } from './convertqueue.js';
+import { SafeArea } from './safearea.js';
+import { parseCueList, parseCueFile, formatCues } from './cues.js';
+import { loadModelFiles, modelShape } from './models.js';
 
 const $ = (sel) => document.querySelector(sel);
 
@@ -13,41 +29,121 @@ const ui = {
   inOffset: $('#inOffset'),
   outOffset: $('#outOffset'),
   resolution: $('#resolution'),
+  customRes: $('#customRes'),
+  customW: $('#customW'),
+  customH: $('#customH'),
+  safeArea: $('#safeArea'),
   fps: $('#fps'),
+  saveProject: $('#saveProject'),
+  loadProject: $('#loadProject'),
+  projectFile: $('#projectFile'),
 
   audioSource: $('#audioSource'),
   bpm: $('#bpm'),
   scale: $('#scale'),
   root: $('#root'),
+  bands: $('#bands'),
+  progression: $('#progression'),
+  prerender: $('#prerender'),
+  downloadWav: $('#downloadWav'),
   audioFile: $('#audioFile'),
   clearAudio: $('#clearAudio'),
   audioInfo: $('#audioInfo'),
+  scrubber: $('#scrubber'),
+  loopRegion: $('#loopRegion'),
+  regionInfo: $('#regionInfo'),
+  sections: $('#sections'),
 
   prompt: $('#prompt'),
+  promptInfo: $('#promptInfo'),
   applyPrompt: $('#applyPrompt'),
+  timeline: $('#timeline'),
+  applyTimeline: $('#applyTimeline'),
+  cameraMode: $('#cameraMode'),
+  cameraCuts: $('#cameraCuts'),
+  cameraShake: $('#cameraShake'),
+  cameraKeys: $('#cameraKeys'),
+  applyCameraKeys: $('#applyCameraKeys'),
+  cameraInfo: $('#cameraInfo'),
+  cues: $('#cues'),
+  applyCues: $('#applyCues'),
+  importCues: $('#importCues'),
+  cueFile: $('#cueFile'),
+  cueInfo: $('#cueInfo'),
+  ovFont: $('#ovFont'),
+  ovSize: $('#ovSize'),
+  ovColor: $('#ovColor'),
+  ovPosition: $('#ovPosition'),
+  ovAnim: $('#ovAnim'),
+  ovPulse: $('#ovPulse'),
+  logoFile: $('#logoFile'),
+  logoPosition: $('#logoPosition'),
+  logoSize: $('#logoSize'),
+  clearLogo: $('#clearLogo'),
+  timelineInfo: $('#timelineInfo'),
+  modRoutes: $('#modRoutes'),
+  addRoute: $('#addRoute'),
+  modInfo: $('#modInfo'),
 
   shape: $('#shape'),
+  transition: $('#transition'),
+  transitionBeats: $('#transitionBeats'),
+  transitionDownbeat: $('#transitionDownbeat'),
   mapFile: $('#mapFile'),
   dispFile: $('#dispFile'),
+  modelFile: $('#modelFile'),
+  modelSubdiv: $('#modelSubdiv'),
+  modelShapes: $('#modelShapes'),
   dropZone: $('#dropZone'),
+  assetThumbs: $('#assetThumbs'),
 
   start: $('#start'),
   stop: $('#stop'),
   record: $('#record'),
   stopRecord: $('#stopRecord'),
   renderTake: $('#renderTake'),
-  container: $('#container'),
+  preset: $('#preset'),
+  crf: $('#crf'),
+  bitrate: $('#bitrate'),
+  pixFmt: $('#pixFmt'),
+  audioCodec: $('#audioCodec'),
+  audioBitrate: $('#audioBitrate'),
+  exportOptions: $('#exportOptions'),
   convertLast: $('#convertLast'),
+  convertQueue: $('#convertQueue'),
   exportNote: $('#exportNote'),
 
   status: $('#status'),
   canvasWrap: $('#canvasWrap')
 };
 
-let visuals, audio, recorder, rafId = null, autoCycleShapes = true, lastRecordingBlob = null;
+let visuals, audio, recorder, offline = null, rafId = null, autoCycleShapes = true, lastRecordingBlob = null, recordingFps = 60, lastRecordingFps = 60;
+let currentStyle = null; // last applied prompt style; kept so it survives restarts and goes into the project file
+let currentTimeline = []; // style keyframes, same lifetime as currentStyle
+let currentCameraKeys = []; // camera keyframes (see camera.js)
+let currentRoutes = []; // modulation matrix routes, same lifetime as currentStyle
+let currentSections = null; // user-edited song sections; null = use the detected ones
+let sectionsTrack = null;   // name of the track currentSections belong to
+const assets = { map: null, disp: null }; // loaded textures (see assets.js); `map` may be an image or a video
+const models = new Map(); // imported shapes: shape key → { name, subdivide, geometry, triangles } (see models.js)
+let currentCues = []; // text overlay cues, track seconds (see cues.js)
+const logo = { name: null, image: null }; // overlay logo as an ImageBitmap
 
 function setStatus(msg) { ui.status.textContent = msg; }
-function parseRes(val){ const [w,h] = val.split('x').map(n=>parseInt(n,10)); return {w,h}; }
+function parseRes(val){
+  if (val === 'custom') {
+    // even sizes keep yuv420p encoders happy
+    const side = (el, d) => 2 * Math.round(Math.max(16, Math.min(8192, parseInt(el.value, 10) || d)) / 2);
+    return { w: side(ui.customW, 1080), h: side(ui.customH, 1920) };
+  }
+  const [w,h] = val.split('x').map(n=>parseInt(n,10)); return {w,h};
+}
+function setResolution(w, h) {
+  const val = `${w}x${h}`;
+  if ([...ui.resolution.options].some(o => o.value === val)) ui.resolution.value = val;
+  else { ui.resolution.value = 'custom'; ui.customW.value = w; ui.customH.value = h; }
+  ui.customRes.hidden = ui.resolution.value !== 'custom';
+}
 
 function getParams() {
   const seed = ui.seed.value.trim() || '123456';
@@ -62,22 +158,65 @@ function getParams() {
   const bpm = Number.isFinite(parseInt(ui.bpm.value, 10)) ? parseInt(ui.bpm.value, 10) : 112;
   const scaleName = ui.scale.value;
   const root = ui.root.value;
+  const bands = parseInt(ui.bands.value, 10) || 3;
+  const progression = ui.progression.value;
+  const prerender = ui.prerender.checked;
 
   const shape = ui.shape.value;
-  const container = ui.container.value;
-  return { seed, duration, useTrackLen, inOffset, outOffset, w, h, fps, audioSource, bpm, scaleName, root, shape, container };
+  const loop = ui.loopRegion.checked;
+
+  // export preset; empty override fields keep the preset's own value
+  const preset = ui.preset.value;
+  const crf = ui.crf.value === '' ? null : Math.max(0, parseFloat(ui.crf.value) || 0);
+  const bitrate = ui.bitrate.value.trim();
+  const pixFmt = ui.pixFmt.value;
+  const audioCodec = ui.audioCodec.value;
+  const audioBitrate = ui.audioBitrate.value.trim();
+  return { seed, duration, useTrackLen, inOffset, outOffset, loop, w, h, fps, audioSource, bpm, scaleName, root, progression, prerender, bands, shape, preset, crf, bitrate, pixFmt, audioCodec, audioBitrate };
 }
 
-function enableRunButtons(on){ ui.stop.disabled=!on; ui.record.disabled=!on; ui.renderTake.disabled=!on; ui.start.disabled=on; }
+function enableRunButtons(on){ ui.stop.disabled=!on; ui.record.disabled=!on; ui.start.disabled=on; }
 function enableRecordButtons(recOn){ ui.stopRecord.disabled=!recOn; ui.record.disabled=recOn; }
 function randomizeSeed(){ ui.seed.value = Math.random().toString(36).slice(2,10); }
 
 function initVisuals(seed, w, h) {
-  if (!visuals) visuals = new Visuals({ container: ui.canvasWrap, seed });
+  if (!visuals) {
+    visuals = new Visuals({ container: ui.canvasWrap, seed });
+    if (currentStyle) visuals.applyStyle(currentStyle);
+    visuals.setTimeline(currentTimeline);
+    visuals.setModRoutes(currentRoutes);
+    applyAssets();
+    for (const [shape, m] of models) visuals.addModel(shape, m.geometry);
+    visuals.setTransition(getTransition());
+    visuals.setCamera(getCamera());
+    applyOverlay();
+  }
   visuals.setSeed(seed);
   visuals.setRenderSize(w, h);
+  syncSafeArea();
 }
 
+// --- Output size preview ---
+const safeArea = new SafeArea(ui.canvasWrap);
+function syncSafeArea() {
+  safeArea.setVisible(ui.safeArea.checked && !!visuals);
+  if (visuals && safeArea.visible) safeArea.update(visuals.getViewRect(), visuals.width / visuals.height);
+}
+// Resolution changes reframe a running preview right away (takes and recordings read it at start)
+function applyResolution() {
+  ui.customRes.hidden = ui.resolution.value !== 'custom';
+  if (!visuals || offline) return;
+  const { w, h } = parseRes(ui.resolution.value);
+  visuals.setRenderSize(w, h);
+  syncSafeArea();
+}
+ui.resolution.addEventListener('change', applyResolution);
+ui.customW.addEventListener('change', applyResolution);
+ui.customH.addEventListener('change', applyResolution);
+ui.safeArea.addEventListener('change', syncSafeArea);
+// after Visuals has re-letterboxed its canvas
+window.addEventListener('resize', () => requestAnimationFrame(syncSafeArea));
+
 async function startAll() {
   const p = getParams();
   setStatus('starting…');
@@ -87,31 +226,43 @@ async function startAll() {
   if (p.shape !== 'cycle') { visuals.setShape(p.shape); autoCycleShapes = false; } else { autoCycleShapes = true; }
 
   // Audio
-  audio = new AudioEngine();
-  if (p.audioSource === 'procedural') {
-    await audio.startProcedural({ bpm: p.bpm, scaleName: p.scaleName, root: p.root });
+  audio = audio || new AudioEngine();
+  audio.setBands(p.bands);
+  const proc = p.audioSource === 'procedural';
+  if (proc && !p.prerender) {
+    await audio.startProcedural({ bpm: p.bpm, scaleName: p.scaleName, root: p.root, seed: p.seed, progression: p.progression });
   } else {
-    if (!ui.audioFile.files[0]) throw new Error('Upload an audio track or switch to Procedural.');
-    await audio.loadFile(ui.audioFile.files[0]);
-    if (p.useTrackLen) ui.duration.value = Math.max(3, Math.floor(audio.getDuration() - p.inOffset - p.outOffset));
-    await audio.startUploaded({ inOffset: p.inOffset });
-    ui.audioInfo.textContent = `track: ${ui.audioFile.files[0].name} — ${audio.analysis?.bpm ? Math.round(audio.analysis.bpm)+' BPM' : 'BPM ~?'}, ${audio.getDuration().toFixed(1)}s`;
+    if (proc) await prerenderMusic(p); else await analyzeTrack();
+    const region = audio.getRegion(p);
+    if (p.useTrackLen && !proc) ui.duration.value = Math.max(3, Math.floor(region.end - region.start));
+    await audio.startUploaded({ inOffset: p.inOffset, outOffset: p.outOffset, loop: p.loop });
+    const a = audio.analysis;
+    const tempo = a?.bpm ? `${Math.round(a.bpm)} BPM (confidence ${Math.round((a.confidence || 0) * 100)}%)` : 'BPM ~?';
+    if (!proc) ui.audioInfo.textContent = `track: ${ui.audioFile.files[0].name} — ${tempo}, ${audio.getDuration().toFixed(1)}s`;
   }
 
   // Auto-cycling by bar length
   const barSecs = audio.getBarSeconds();
   visuals.setBarSeconds(barSecs);
+  visuals.setBarTimes(audio.getBarTimes());
+  visuals.setEventSource(audio.getEvents());
+  if (!proc) useSections(audio.analysis.sections);
+  else visuals.setSections(p.prerender ? audio.analysis.sections : null);
   if (autoCycleShapes) visuals.scheduleAutoShape(audio.getTime(), barSecs);
 
   // Recorder
   recorder = new AVRecorder(visuals.getCanvas(), audio.getMediaStream());
 
   // Loop
+  let lastT = audio.getTime();
   function loop() {
     const t = audio.getTime();
     const lvl = audio.getLevel();
     const beatPulse = audio.getBeatPulse();
-    visuals.update({ t, level: lvl, beatPulse, autoShape: autoCycleShapes });
+    if (t < lastT && autoCycleShapes) visuals.scheduleAutoShape(t, barSecs); // region looped back
+    lastT = t;
+    if (audio.mode === 'uploaded') scrubber.setPlayhead(t);
+    visuals.update({ t, level: lvl, beatPulse, bands: audio.getBands(), onset: audio.getOnset(), barPhase: audio.getBarPhase(), autoShape: autoCycleShapes });
     visuals.render();
     rafId = requestAnimationFrame(loop);
   }
@@ -122,24 +273,30 @@ async function startAll() {
 }
 
 function stopAll() {
+  if (offline?.running) offline.cancel();
   if (rafId) { cancelAnimationFrame(rafId); rafId = null; }
-  if (audio) { audio.stop(); audio = null; }
+  audio?.stop(); // the engine is kept so the analyzed track can be replayed without decoding again
+  scrubber.setPlayhead(null);
   enableRunButtons(false);
   enableRecordButtons(false);
   setStatus('stopped');
 }
 
 // --- Recording / Export ---
-function pickMimeFromContainer(container){
-  if (container==='mp4') return 'mp4';
-  if (container==='webm') return 'webm';
-  if (container==='mov') return 'webm'; // record webm then convert to mov
-  return 'auto';
+// Resolved preset for params; 'auto' (native recording) has none unless a fallback is given.
+// Everything here encodes with ffmpeg.wasm, so its limits apply.
+function exportSpec(p, fallback = null) {
+  const name = p.preset === 'auto' ? fallback : p.preset;
+  return name ? resolvePreset(name, { ...p, wasm: true }) : null;
 }
+const specFileName = (base, spec) => `${base}.${spec.codec === 'png' ? 'zip' : spec.ext}`;
 
 function startRecord() {
   const p = getParams();
-  recorder.start({ mimeHint: pickMimeFromContainer(p.container), fps: p.fps });
+  const spec = exportSpec(p);
+  // record WebM for VP9 targets so its conversion is a plain re-encode; otherwise take what's native
+  recorder.start({ mimeHint: spec?.codec === 'vp9' ? 'webm' : 'auto', fps: p.fps, bitrate: EXPORT_PRESETS[p.preset]?.recorderBitrate });
+  recordingFps = p.fps;
   enableRecordButtons(true);
   setStatus('recording…');
 }
@@ -147,62 +304,666 @@ function startRecord() {
 async function stopRecord() {
   const p = getParams();
   const base = `perlin_take_${Date.now()}`;
-  const filename = p.container === 'mp4' ? `${base}.mp4`
-                  : p.container === 'mov' ? `${base}.webm`
-                  : p.container === 'webm' ? `${base}.webm` : `${base}`;
-  lastRecordingBlob = await recorder.stop({ filename });
+  // any preset other than the native recording goes through the conversion queue;
+  // export settings changed into an invalid combination mid-take still keep the recording
+  let spec = null, invalid = null;
+  try { spec = exportSpec(p); } catch (e) { invalid = e; }
+  lastRecordingBlob = await recorder.stop({ filename: base, download: !spec });
+  lastRecordingFps = recordingFps;
   ui.convertLast.disabled = !lastRecordingBlob;
-  setStatus('recording saved');
+  if (spec && lastRecordingBlob) convertQueue.add(lastRecordingBlob, spec, base, lastRecordingFps);
+  else setStatus(invalid ? `recording saved unconverted (${invalid.message})` : 'recording saved');
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a'); a.href = url; a.download = filename; a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 5000);
 }
 
+// Offline take: frame-stepped on a virtual clock, independent of wall-clock time and dropped frames.
 async function renderTake() {
   stopAll();
-  await startAll();
-  startRecord();
-  const total = Math.max(0.1, parseFloat(ui.duration.value));
-  setTimeout(async () => { await stopRecord(); stopAll(); }, total * 1000);
+  const p = getParams();
+  initVisuals(p.seed, p.w, p.h);
+
+  let analysis, barSeconds, events = null, audioBlob = null, start = 0, duration = p.duration;
+  const proc = p.audioSource === 'procedural';
+  if (proc) {
+    // the same seeded piece live playback would play, so kicks/chords/notes land where they would live
+    events = pieceEventSource(composePiece({ seed: p.seed, bpm: p.bpm, scaleName: p.scaleName, root: p.root, progression: p.progression }));
+  }
+  if (proc && !p.prerender) {
+    // silent take on a fixed beat grid
+    analysis = gridAnalysis({ bpm: p.bpm, duration });
+    barSeconds = 240 / analysis.bpm;
+  } else {
+    analysis = proc ? await prerenderMusic(p) : await analyzeTrack();
+    if (!proc) useSections(analysis.sections);
+    barSeconds = barSecondsOf(analysis);
+    // the take covers the In/Out region; a shorter Duration cuts it early
+    const region = audio.getRegion(p);
+    start = region.start;
+    duration = p.useTrackLen ? region.end - region.start : Math.min(duration, region.end - region.start);
+    audioBlob = audio.trackFile;
+  }
+
+  // 'auto' means the native recorder, which renders don't use; MPEG-4 is the quickest wasm encode
+  const spec = exportSpec(p, 'compat');
+  const encoder = await createFrameEncoder({ fps: p.fps, spec });
+  offline = new OfflineRenderer(visuals);
+  ui.start.disabled = true; ui.renderTake.disabled = true; ui.stop.disabled = false;
+  try {
+    const res = await offline.render({
+      analysis, sections: !proc ? currentSections : p.prerender ? null : [], events, seed: p.seed, shape: p.shape, fps: p.fps, start, duration, barSeconds,
+      onFrame: (blob) => encoder.addFrame(blob),
+      onProgress: (f) => setStatus(`rendering… ${Math.floor(f * 100)}%`)
+    });
+    if (res.cancelled) { setStatus('render cancelled'); return; }
+    setStatus('encoding…');
+    const blob = await encoder.finish({ audio: audioBlob ? { blob: audioBlob, start } : null });
+    downloadBlob(blob, specFileName(`perlin_take_${Date.now()}`, spec));
+    setStatus(`render saved (${res.frames} frames)`);
+  } finally {
+    await encoder.dispose(); // frames left in the wasm FS by a failed or cancelled take
+    offline = null;
+    ui.start.disabled = false; ui.renderTake.disabled = false; ui.stop.disabled = true;
+  }
 }
 
+// --- Conversions (ffmpeg.wasm, one job at a time) ---
+const convertQueue = new ConversionQueue({
+  onUpdate: renderConvertQueue,
+  onDone: (job, blob) => downloadBlob(blob, specFileName(job.name, job.spec))
+});
+
+function renderConvertQueue(jobs) {
+  ui.convertQueue.textContent = '';
+  for (const job of jobs) {
+    const row = document.createElement('div');
+    row.className = 'row convRow';
+    const label = document.createElement('span');
+    label.textContent = `${specFileName(job.name, job.spec)} (${job.spec.name})`;
+    const bar = document.createElement('progress');
+    bar.max = 1; bar.value = job.progress;
+    const state = document.createElement('span');
+    state.className = 'muted';
+    state.textContent = job.state === 'running' ? `${Math.floor(job.progress * 100)}%` : job.state === 'failed' ? `failed: ${job.error}` : job.state;
+    row.append(label, bar, state);
+    if (job.state === 'queued' || job.state === 'running') {
+      const cancel = document.createElement('button');
+      cancel.textContent = '✖'; cancel.title = 'cancel conversion';
+      cancel.addEventListener('click', () => convertQueue.cancel(job.id));
+      row.append(cancel);
+    }
+    ui.convertQueue.append(row);
+  }
+  if (jobs.length && !convertQueue.active && !jobs.some(j => j.state === 'queued')) {
+    const clear = document.createElement('button');
+    clear.textContent = 'clear'; clear.className = 'small';
+    clear.addEventListener('click', () => convertQueue.clearFinished());
+    ui.convertQueue.append(clear);
+  }
+  const run = convertQueue.active;
+  const waiting = jobs.filter(j => j.state === 'queued').length;
+  if (run) setStatus(`converting ${specFileName(run.name, run.spec)}… ${Math.floor(run.progress * 100)}%${waiting ? ` (+${waiting} queued)` : ''}`);
+  else if (jobs.length && !waiting) {
+    const last = jobs[jobs.length - 1];
+    setStatus(last.state === 'done' ? `converted ${specFileName(last.name, last.spec)}` : `conversion ${last.state}`);
+  }
+}
+
+ui.convertLast.addEventListener('click', () => {
+  if (!lastRecordingBlob) return;
+  try { convertQueue.add(lastRecordingBlob, exportSpec(getParams(), 'compat'), `perlin_take_${Date.now()}`, lastRecordingFps); }
+  catch (e) { setStatus(`error: ${e.message}`); }
+});
+
 // --- UI wiring ---
 ui.randomize.addEventListener('click', randomizeSeed);
 
 ui.applyPrompt.addEventListener('click', () => {
-  const style = interpretPrompt(ui.prompt.value);
-  visuals?.applyStyle(style);
+  const parsed = parsePrompt(ui.prompt.value);
+  currentStyle = parsed.style;
+  visuals?.applyStyle(currentStyle);
+  ui.promptInfo.textContent = describePrompt(parsed);
   setStatus('prompt applied');
 });
+// show what the parser makes of the prompt while typing (applied only on Apply)
+ui.prompt.addEventListener('input', () => {
+  ui.promptInfo.textContent = ui.prompt.value.trim() ? describePrompt(parsePrompt(ui.prompt.value)) : '';
+});
 
-ui.audioSource.addEventListener('change', () => {
+function syncAudioSourceUI() {
   const proc = ui.audioSource.value === 'procedural';
-  ui.bpm.disabled = !proc; ui.scale.disabled = !proc; ui.root.disabled = !proc;
+  ui.bpm.disabled = !proc; ui.scale.disabled = !proc; ui.root.disabled = !proc; ui.progression.disabled = !proc;
   ui.audioFile.disabled = proc; ui.clearAudio.disabled = proc;
   ui.useTrackLen.disabled = proc;
+  ui.prerender.disabled = !proc; ui.downloadWav.disabled = !proc;
+}
+function setTimeline(keys) {
+  currentTimeline = keys;
+  visuals?.setTimeline(keys);
+  ui.timelineInfo.textContent = keys.length ? `${keys.length} keyframe${keys.length === 1 ? '' : 's'}` : 'no keyframes';
+}
+
+ui.applyTimeline.addEventListener('click', () => {
+  try { setTimeline(parseKeyframes(ui.timeline.value)); setStatus('timeline applied'); }
+  catch (e) { setStatus(`error: ${e.message}`); }
+});
+
+// --- Camera ---
+function getCamera() {
+  return { mode: ui.cameraMode.value, cutEvery: parseInt(ui.cameraCuts.value, 10), shake: parseFloat(ui.cameraShake.value), keys: currentCameraKeys };
+}
+
+function setCameraKeys(keys) {
+  currentCameraKeys = keys;
+  visuals?.setCamera(getCamera());
+  ui.cameraInfo.textContent = keys.length ? `${keys.length} key${keys.length === 1 ? '' : 's'}` : 'no keys';
+}
+
+for (const el of [ui.cameraMode, ui.cameraCuts, ui.cameraShake]) el.addEventListener('change', () => visuals?.setCamera(getCamera()));
+ui.applyCameraKeys.addEventListener('click', () => {
+  try { setCameraKeys(parseCameraKeys(ui.cameraKeys.value)); setStatus('camera keys applied'); }
+  catch (e) { setStatus(`error: ${e.message}`); }
+});
+
+// --- Text overlay ---
+function getOverlaySettings() {
+  return {
+    font: ui.ovFont.value, size: parseFloat(ui.ovSize.value), color: ui.ovColor.value, position: ui.ovPosition.value,
+    anim: ui.ovAnim.value, pulse: parseFloat(ui.ovPulse.value), logoPosition: ui.logoPosition.value, logoSize: parseFloat(ui.logoSize.value)
+  };
+}
+function applyOverlay() {
+  visuals?.setOverlay({ settings: getOverlaySettings(), cues: currentCues, logo: logo.image });
+}
+function setCues(cues) {
+  currentCues = cues;
+  applyOverlay();
+  ui.cueInfo.textContent = cues.length ? `${cues.length} cue${cues.length === 1 ? '' : 's'}` : 'no cues';
+}
+
+ui.applyCues.addEventListener('click', () => {
+  try { setCues(parseCueList(ui.cues.value)); setStatus('cues applied'); }
+  catch (e) { setStatus(`error: ${e.message}`); }
+});
+ui.importCues.addEventListener('click', () => ui.cueFile.click());
+ui.cueFile.addEventListener('change', async () => {
+  const f = ui.cueFile.files[0];
+  ui.cueFile.value = '';
+  if (!f) return;
+  try {
+    const cues = parseCueFile(f.name, await f.text());
+    ui.cues.value = formatCues(cues);
+    setCues(cues);
+    setStatus(`imported ${cues.length} cues from ${f.name}`);
+  } catch (e) { setStatus(`error: ${e.message}`); }
+});
+for (const el of [ui.ovFont, ui.ovSize, ui.ovColor, ui.ovPosition, ui.ovAnim, ui.ovPulse, ui.logoPosition, ui.logoSize]) el.addEventListener('change', applyOverlay);
+
+async function setLogo(file) {
+  logo.image?.close?.();
+  logo.image = file ? await createImageBitmap(file) : null;
+  logo.name = file ? file.name : null;
+  if (!file) ui.logoFile.value = '';
+  applyOverlay();
+}
+ui.logoFile.addEventListener('change', async () => {
+  try { await setLogo(ui.logoFile.files[0] || null); } catch (e) { setStatus(`error: ${e.message}`); }
+});
+ui.clearLogo.addEventListener('click', () => setLogo(null));
+
+const modPanel = new ModPanel(ui.modRoutes, { onChange: setRoutes });
+function setRoutes(routes) {
+  currentRoutes = routes;
+  visuals?.setModRoutes(routes);
+  ui.modInfo.textContent = routes.length ? `${routes.length} route${routes.length === 1 ? '' : 's'}` : 'no routes — audio features routed to visual parameters';
+}
+ui.addRoute.addEventListener('click', () => modPanel.addRoute());
+// band:* sources follow the band count the next start/take analyzes with
+function syncBands() { modPanel.setBands(makeBands(parseInt(ui.bands.value, 10) || 3).map(b => b.name)); }
+ui.bands.addEventListener('change', syncBands);
+
+ui.audioSource.addEventListener('change', syncAudioSourceUI);
+syncAudioSourceUI();
+
+// --- Song sections (detected per track; rename/merge edits are kept until another track is chosen) ---
+const fmtTime = (t) => `${Math.floor(t / 60)}:${(t % 60).toFixed(1).padStart(4, '0')}`;
+
+function useSections(detected) {
+  if (!currentSections) {
+    currentSections = (detected || []).map(s => ({ ...s }));
+    sectionsTrack = ui.audioFile.files[0]?.name || null;
+  }
+  visuals?.setSections(currentSections);
+  renderSections();
+}
+
+function editSections(fn) {
+  fn(currentSections);
+  visuals?.setSections(currentSections);
+  renderSections();
+}
+
+function renderSections() {
+  ui.sections.textContent = '';
+  if (!currentSections || !currentSections.length) {
+    ui.sections.textContent = 'detected when the track is analyzed (Start / Render Take)';
+    return;
+  }
+  currentSections.forEach((s, i) => {
+    const row = document.createElement('div');
+    row.className = 'row secRow';
+    const time = document.createElement('span');
+    time.className = 'secTime';
+    time.textContent = `${fmtTime(s.start)} – ${fmtTime(s.end)}`;
+    const label = document.createElement('input');
+    label.value = s.label;
+    label.setAttribute('list', 'sectionLabels');
+    label.title = 'rename (intro, build, drop, breakdown, outro drive the section look)';
+    label.addEventListener('change', () => editSections(secs => { secs[i].label = label.value.trim() || s.label; }));
+    row.append(time, label);
+    if (i < currentSections.length - 1) {
+      const merge = document.createElement('button');
+      merge.textContent = '⤓ merge with next';
+      merge.addEventListener('click', () => editSections(secs => { secs[i].end = secs[i + 1].end; secs.splice(i + 1, 1); }));
+      row.append(merge);
+    }
+    ui.sections.append(row);
+  });
+}
+
+{
+  const list = document.createElement('datalist');
+  list.id = 'sectionLabels';
+  for (const l of SECTION_LABELS) list.append(new Option(l));
+  document.body.append(list);
+}
+
+// --- Visual assets ---
+function applyAssets() {
+  if (!visuals) return;
+  for (const slot of ['map', 'video', 'disp']) visuals.clearTexture(slot);
+  const m = assets.map;
+  visuals.setTextures({
+    mapTex: m && m.kind === 'image' ? m.texture : null,
+    videoTex: m && m.kind === 'video' ? m.texture : null,
+    dispTex: assets.disp ? assets.disp.texture : null
+  });
+}
+
+async function setAsset(slot, file) {
+  const kind = detectKind(file);
+  if (slot === 'disp' && kind !== 'image') throw new Error('Displacement maps must be images.');
+  setStatus(`loading ${file.name}…`);
+  const asset = await loadAsset(file);
+  disposeAsset(assets[slot]);
+  assets[slot] = asset;
+  applyAssets();
+  renderThumbs();
+  setStatus(`${slot === 'disp' ? 'displacement map' : kind} loaded: ${file.name}`);
+}
+
+function clearAsset(slot) {
+  disposeAsset(assets[slot]);
+  assets[slot] = null;
+  if (slot === 'map') ui.mapFile.value = '';
+  if (slot === 'disp') ui.dispFile.value = '';
+  applyAssets();
+  renderThumbs();
+}
+
+// files: the model plus any companions (.bin buffers of a .gltf)
+async function addModel(files) {
+  setStatus('loading model…');
+  const m = await loadModelFiles(files, { subdivide: ui.modelSubdiv.value });
+  const shape = modelShape(m.name);
+  models.get(shape)?.geometry.dispose();
+  models.set(shape, m);
+  visuals?.addModel(shape, m.geometry);
+  renderModelOptions();
+  renderThumbs();
+  setStatus(`model loaded: ${m.name} (${m.triangles.toLocaleString()} triangles)`);
+  return shape;
+}
+
+function removeModel(shape) {
+  const m = models.get(shape);
+  if (!m) return;
+  models.delete(shape);
+  if (visuals) visuals.removeModel(shape); else m.geometry.dispose();
+  if (ui.shape.value === shape) ui.shape.value = 'cycle';
+  renderModelOptions();
+  renderThumbs();
+}
+
+function renderModelOptions() {
+  ui.modelShapes.textContent = '';
+  for (const [shape, m] of models) ui.modelShapes.append(new Option(m.name, shape));
+  ui.modelShapes.hidden = !models.size;
+}
+
+function renderThumbs() {
+  ui.assetThumbs.textContent = '';
+  for (const slot of ['map', 'disp']) {
+    const a = assets[slot];
+    if (!a) continue;
+    const box = document.createElement('div');
+    box.className = 'thumb';
+    const media = document.createElement(a.kind === 'video' ? 'video' : 'img');
+    media.src = a.url;
+    if (a.kind === 'video') { media.muted = true; media.loop = true; media.autoplay = true; media.playsInline = true; }
+    const name = document.createElement('span');
+    name.textContent = `${slot === 'disp' ? 'disp' : a.kind}: ${a.name}`;
+    name.title = a.name;
+    const clear = document.createElement('button');
+    clear.textContent = '✖';
+    clear.title = 'remove';
+    clear.addEventListener('click', () => clearAsset(slot));
+    box.append(media, name, clear);
+    ui.assetThumbs.append(box);
+  }
+  for (const [shape, m] of models) {
+    const box = document.createElement('div');
+    box.className = 'thumb';
+    const name = document.createElement('span');
+    name.textContent = `model: ${m.name}`;
+    name.title = `${m.name} — ${m.triangles.toLocaleString()} triangles, subdivide ${m.subdivide}`;
+    const clear = document.createElement('button');
+    clear.textContent = '✖';
+    clear.title = 'remove';
+    clear.addEventListener('click', () => removeModel(shape));
+    box.append(name, clear);
+    ui.assetThumbs.append(box);
+  }
+}
+
+async function handleDrop(files) {
+  // files no other kind claims (.bin buffers…) travel with each dropped model
+  const companions = files.filter(f => !detectKind(f));
+  const hasModel = files.some(f => detectKind(f) === 'model');
+  for (const file of files) {
+    const kind = detectKind(file);
+    if (kind === 'audio') {
+      const dt = new DataTransfer();
+      dt.items.add(file);
+      ui.audioFile.files = dt.files;
+      ui.audioFile.dispatchEvent(new Event('change'));
+    } else if (kind === 'image' || kind === 'video') {
+      await setAsset(guessSlot(file, kind), file);
+    } else if (kind === 'model') {
+      await addModel([file, ...companions]);
+    } else if (!hasModel) {
+      setStatus(`skipped ${file.name}: not an image, video, audio or model file`);
+    }
+  }
+}
+
+const onAssetError = (e) => setStatus(`error: ${e.message}`);
+ui.mapFile.addEventListener('change', () => { const f = ui.mapFile.files[0]; if (f) setAsset('map', f).catch(onAssetError); });
+ui.dispFile.addEventListener('change', () => { const f = ui.dispFile.files[0]; if (f) setAsset('disp', f).catch(onAssetError); });
+ui.modelFile.addEventListener('change', () => {
+  const files = [...ui.modelFile.files];
+  ui.modelFile.value = '';
+  if (files.length) addModel(files).then((shape) => { ui.shape.value = shape; ui.shape.dispatchEvent(new Event('change')); }).catch(onAssetError);
+});
+ui.dropZone.addEventListener('dragover', (e) => { e.preventDefault(); ui.dropZone.classList.add('drag'); });
+ui.dropZone.addEventListener('dragleave', () => ui.dropZone.classList.remove('drag'));
+ui.dropZone.addEventListener('drop', (e) => {
+  e.preventDefault();
+  ui.dropZone.classList.remove('drag');
+  handleDrop([...e.dataTransfer.files]).catch(onAssetError);
 });
 
 ui.audioFile.addEventListener('change', async () => {
+  if (ui.audioFile.files[0]?.name !== sectionsTrack) { currentSections = null; renderSections(); }
   ui.audioInfo.textContent = ui.audioFile.files[0] ? `ready: ${ui.audioFile.files[0].name}` : 'no track';
+  if (!ui.audioFile.files[0]) return;
+  try { await analyzeTrack(); setStatus('track analyzed'); } catch (e) { setStatus(`error: ${e.message}`); }
 });
 
-ui.clearAudio.addEventListener('click', () => { ui.audioFile.value=''; ui.audioInfo.textContent='no track'; });
+ui.clearAudio.addEventListener('click', () => {
+  ui.audioFile.value=''; ui.audioInfo.textContent='no track'; currentSections = null; renderSections();
+  scrubber.setAnalysis(null);
+  syncScrubber();
+});
+
+// --- In/Out region (uploaded track) ---
+// Decode + analyze the chosen track once; Start, Render Take and the scrubber share the result.
+async function analyzeTrack() {
+  const file = ui.audioFile.files[0];
+  if (!file) throw new Error('Upload an audio track or switch to Procedural.');
+  audio = audio || new AudioEngine();
+  // a new band count needs a fresh analysis of the same file
+  const bands = parseInt(ui.bands.value, 10) || 3;
+  if (audio.trackFile !== file || audio.analysis.bands.names.length !== bands) {
+    setStatus('analyzing track…');
+    audio.setBands(bands);
+    await audio.loadFile(file);
+    scrubber.setAnalysis(audio.analysis);
+    syncScrubber();
+  }
+  return audio.analysis;
+}
+
+// Procedural piece rendered to audio once per setting; from then on it plays and exports like an uploaded track
+let music = null; // { key, blob } of the last rendered piece
+async function prerenderMusic(p) {
+  const key = JSON.stringify([p.seed, p.bpm, p.scaleName, p.root, p.progression, p.duration, p.bands]);
+  audio = audio || new AudioEngine();
+  audio.setBands(p.bands);
+  if (!music || music.key !== key || audio.trackFile !== music.blob) {
+    setStatus('rendering music…');
+    await audio.renderProcedural({ bpm: p.bpm, scaleName: p.scaleName, root: p.root, seed: p.seed, progression: p.progression, duration: p.duration });
+    music = { key, blob: audio.trackFile };
+    scrubber.setAnalysis(audio.analysis);
+    syncScrubber();
+    const a = audio.analysis;
+    ui.audioInfo.textContent = `procedural: ${audio.piece.progression}, ${p.bpm} BPM, ${a.duration.toFixed(1)}s rendered`;
+  }
+  return audio.analysis;
+}
 
+ui.downloadWav.addEventListener('click', async () => {
+  try {
+    const p = getParams();
+    await prerenderMusic(p);
+    downloadBlob(music.blob, `coopernoise_${p.seed}_${p.bpm}bpm.wav`);
+    setStatus('music saved');
+  } catch (e) { setStatus(`error: ${e.message}`); }
+});
+
+// In/Out inputs → scrubber handles
+function syncScrubber() {
+  const dur = scrubber.duration;
+  if (!dur) { ui.regionInfo.textContent = ''; return; }
+  const p = getParams();
+  scrubber.setRegion(Math.min(p.inOffset, dur), Math.max(0, dur - p.outOffset));
+  ui.regionInfo.textContent = `${fmtTime(scrubber.start)} – ${fmtTime(scrubber.end)} (${(scrubber.end - scrubber.start).toFixed(1)}s)`;
+}
+
+// Handles → In/Out inputs; a running track keeps playing but picks up the new region
+const scrubber = new Scrubber(ui.scrubber, {
+  onChange: ({ start, end }) => {
+    ui.inOffset.value = start.toFixed(2);
+    ui.outOffset.value = Math.max(0, scrubber.duration - end).toFixed(2);
+    syncScrubber();
+  }
+});
+scrubber.draw();
+
+async function restartRegion() {
+  if (!rafId || audio?.mode !== 'uploaded') return;
+  const p = getParams();
+  const t = audio.getTime();
+  const { start, end } = audio.getRegion(p);
+  if (start === audio.inOffset && end === audio.regionEnd) return;
+  await audio.startUploaded({ inOffset: p.inOffset, outOffset: p.outOffset, loop: p.loop, from: t >= start && t < end ? t : start });
+}
+
+ui.inOffset.addEventListener('change', () => { syncScrubber(); restartRegion(); });
+ui.outOffset.addEventListener('change', () => { syncScrubber(); restartRegion(); });
+ui.scrubber.addEventListener('pointerup', () => restartRegion());
+ui.loopRegion.addEventListener('change', () => audio?.setLoop(ui.loopRegion.checked));
+
+function getTransition() {
+  return { mode: ui.transition.value, beats: parseFloat(ui.transitionBeats.value), downbeat: ui.transitionDownbeat.checked };
+}
+for (const el of [ui.transition, ui.transitionBeats, ui.transitionDownbeat]) el.addEventListener('change', () => visuals?.setTransition(getTransition()));
 ui.shape.addEventListener('change', ()=>{ const s = ui.shape.value; if (s!=='cycle') visuals?.setShape(s); });
 
 ui.start.addEventListener('click', async () => { try { await startAll(); } catch (e) { setStatus(`error: ${e.message}`); } });
 ui.stop.addEventListener('click', () => { stopAll(); });
-ui.record.addEventListener('click', () => { startRecord(); });
+ui.record.addEventListener('click', () => { try { startRecord(); } catch (e) { setStatus(`error: ${e.message}`); } });
 ui.stopRecord.addEventListener('click', async () => { await stopRecord(); });
 ui.renderTake.addEventListener('click', async () => { try { await renderTake(); } catch (e) { setStatus(`error: ${e.message}`); } });
 
+// --- Project file ---
+function saveProject() {
+  const p = getParams();
+  const fileName = (input) => input.files[0] ? input.files[0].name : null;
+  const project = serializeProject(p, {
+    prompt: ui.prompt.value,
+    style: currentStyle,
+    timeline: currentTimeline,
+    modRoutes: currentRoutes,
+    sections: currentSections || [],
+    track: p.audioSource === 'uploaded' ? fileName(ui.audioFile) : null,
+    overlay: getOverlaySettings(),
+    cues: currentCues,
+    transition: getTransition(),
+    camera: getCamera(),
+    assets: { map: assets.map?.name || null, disp: assets.disp?.name || null, logo: logo.name, models: [...models.values()].map(m => ({ name: m.name, subdivide: m.subdivide })) }
+  });
+  const blob = new Blob([JSON.stringify(project, null, 2)], { type: 'application/json' });
+  downloadBlob(blob, `coopernoise_${p.seed}.json`);
+  setStatus('project saved');
+}
+
+function setSelect(sel, value) {
+  if (![...sel.options].some(o => o.value === value)) sel.add(new Option(value, value));
+  sel.value = value;
+}
+
+async function loadProject(file) {
+  const pr = parseProject(await file.text());
+  ui.seed.value = pr.seed;
+  ui.duration.value = pr.duration;
+  ui.useTrackLen.checked = pr.useTrackLen;
+  ui.inOffset.value = pr.inOffset;
+  ui.outOffset.value = pr.outOffset;
+  ui.loopRegion.checked = pr.loop;
+  syncScrubber();
+  setResolution(pr.resolution.w, pr.resolution.h);
+  ui.fps.value = pr.fps;
+  ui.audioSource.value = pr.audio.source;
+  ui.bpm.value = pr.audio.bpm;
+  setSelect(ui.scale, pr.audio.scale);
+  setSelect(ui.root, pr.audio.root);
+  setSelect(ui.bands, String(pr.audio.bands));
+  syncBands();
+  setSelect(ui.progression, pr.audio.progression);
+  ui.prerender.checked = pr.audio.prerender;
+  syncAudioSourceUI();
+  ui.prompt.value = pr.prompt;
+  ui.promptInfo.textContent = pr.prompt ? describePrompt(parsePrompt(pr.prompt)) : '';
+  if (models.has(pr.shape) || !pr.shape.startsWith('model:')) ui.shape.value = pr.shape;
+  ui.transition.value = pr.transition.mode;
+  ui.transitionBeats.value = pr.transition.beats;
+  ui.transitionDownbeat.checked = pr.transition.downbeat;
+  visuals?.setTransition(pr.transition);
+  ui.cameraMode.value = pr.camera.mode;
+  setSelect(ui.cameraCuts, String(pr.camera.cutEvery));
+  ui.cameraShake.value = pr.camera.shake;
+  ui.cameraKeys.value = formatCameraKeys(pr.camera.keys);
+  setCameraKeys(pr.camera.keys);
+  setSelect(ui.preset, pr.export.preset);
+  const val = (v) => (v === null ? '' : String(v));
+  ui.crf.value = val(pr.export.crf);
+  ui.bitrate.value = val(pr.export.bitrate);
+  setSelect(ui.pixFmt, val(pr.export.pixFmt));
+  setSelect(ui.audioCodec, val(pr.export.audioCodec));
+  ui.audioBitrate.value = val(pr.export.audioBitrate);
+  updateExportNote();
+
+  // The stored style wins over re-interpreting the prompt, so older files keep their look.
+  currentStyle = pr.style || (pr.prompt ? interpretPrompt(pr.prompt) : null);
+  if (currentStyle) visuals?.applyStyle(currentStyle);
+  ui.timeline.value = formatKeyframes(pr.timeline);
+  setTimeline(pr.timeline);
+  modPanel.setRoutes(pr.modRoutes);
+  setRoutes(modPanel.getRoutes());
+  currentSections = pr.sections.length ? pr.sections : null;
+  sectionsTrack = pr.audio.track;
+  visuals?.setSections(currentSections);
+  renderSections();
+  const ov = pr.overlay;
+  ui.ovFont.value = ov.font; ui.ovSize.value = ov.size; ui.ovColor.value = ov.color; ui.ovPosition.value = ov.position;
+  ui.ovAnim.value = ov.anim; ui.ovPulse.value = ov.pulse; ui.logoPosition.value = ov.logoPosition; ui.logoSize.value = ov.logoSize;
+  ui.cues.value = formatCues(ov.cues);
+  setCues(ov.cues);
+
+  // Assets are referenced by name only; point out what still has to be uploaded.
+  const missing = [];
+  const loaded = ui.audioFile.files[0]?.name;
+  if (pr.audio.source === 'uploaded' && pr.audio.track && loaded !== pr.audio.track) missing.push(pr.audio.track);
+  if (pr.assets.map && assets.map?.name !== pr.assets.map) missing.push(pr.assets.map);
+  if (pr.assets.disp && assets.disp?.name !== pr.assets.disp) missing.push(pr.assets.disp);
+  if (pr.assets.logo && logo.name !== pr.assets.logo) missing.push(pr.assets.logo);
+  for (const m of pr.assets.models) if (!models.has(modelShape(m.name))) missing.push(m.name);
+  if (pr.assets.models.length) ui.modelSubdiv.value = pr.assets.models[0].subdivide;
+  setStatus(missing.length ? `project loaded — please upload: ${missing.join(', ')}` : 'project loaded');
+}
+
+ui.saveProject.addEventListener('click', saveProject);
+ui.loadProject.addEventListener('click', () => ui.projectFile.click());
+ui.projectFile.addEventListener('change', async () => {
+  const f = ui.projectFile.files[0];
+  ui.projectFile.value = '';
+  if (!f) return;
+  try { await loadProject(f); } catch (e) { setStatus(`error: ${e.message}`); }
+});
+
+for (const [name, pr] of Object.entries(EXPORT_PRESETS)) ui.preset.add(new Option(pr.label, name));
+for (const f of PIX_FMTS) ui.pixFmt.add(new Option(f, f));
+for (const c of AUDIO_CODECS) ui.audioCodec.add(new Option(c, c));
+
+// Preset defaults show as placeholders of the (empty) override fields
 function updateExportNote() {
-  const pref = ui.container.value;
-  let msg = '';
+  const pref = ui.preset.value;
+  const base = EXPORT_PRESETS[pref] || {};
+  ui.crf.placeholder = base.crf ?? '';
+  ui.bitrate.placeholder = base.bitrate || '';
+  ui.pixFmt.options[0].text = `preset (${base.pixFmt || 'auto'})`;
+  ui.audioCodec.options[0].text = `preset (${base.audioCodec || 'none'})`;
+  ui.audioBitrate.placeholder = base.audioBitrate || '';
+  let spec;
+  try { spec = exportSpec(getParams()); }
+  catch (e) {
+    ui.exportOptions.hidden = false;
+    ui.exportNote.textContent = e.message;
+    return;
+  }
+  ui.exportOptions.hidden = !spec;
+
   const mp4Native = MediaRecorder.isTypeSupported('video/mp4;codecs=avc1.42E01E,mp4a.40.2');
-  if (pref === 'auto') msg = mp4Native ? 'Native MP4 likely; else WebM.' : 'Will record WebM.';
-  if (pref === 'mp4')  msg = mp4Native ? 'Native MP4 recording.' : 'Record WebM, then convert to MP4 (slower).';
-  if (pref === 'mov')  msg = 'Record WebM, then convert to MOV (slower).';
+  let msg = '';
+  if (!spec) msg = mp4Native ? 'Native MP4 likely; else WebM. Renders use MP4 (MPEG-4).' : 'Will record WebM. Renders use MP4 (MPEG-4).';
+  else if (spec.codec === 'png') msg = 'Record, then convert to a ZIP of PNG frames (slow).';
+  else msg = `Record, then convert to ${spec.ext.toUpperCase()} (${spec.codec}${spec.audioCodec !== 'none' ? ` + ${spec.audioCodec}` : ', no audio'}).`;
   ui.exportNote.textContent = msg;
 }
-ui.container.addEventListener('change', updateExportNote);
+
+// Picking a preset (not loading a project) also applies its target size and frame rate
+ui.preset.addEventListener('change', () => {
+  const pr = EXPORT_PRESETS[ui.preset.value];
+  if (pr?.resolution) { const { w, h } = parseRes(pr.resolution); setResolution(w, h); applyResolution(); }
+  if (pr?.fps) ui.fps.value = pr.fps;
+  updateExportNote();
+});
+for (const el of [ui.crf, ui.bitrate, ui.pixFmt, ui.audioCodec, ui.audioBitrate]) el.addEventListener('change', updateExportNote);
 updateExportNote();
 
 setStatus('idle — set params and press Start');
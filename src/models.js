@@ -0,0 +1,154 @@
+// Imported models (glTF / GLB / OBJ) as shapes for the displaced mesh. Every mesh in the file is
+// flattened into one position-only geometry, welded, centered and scaled to the
+// built-in shapes' size, then optionally subdivided so the fBm displacement has vertices to move.
+// UVs are re-projected spherically (model UVs rarely survive the merge), so texture/video maps still wrap.
+import * as THREE from 'https://unpkg.com/three@0.160.0/build/three.module.js';
+import { GLTFLoader } from 'https://unpkg.com/three@0.160.0/examples/jsm/loaders/GLTFLoader.js';
+import { OBJLoader } from 'https://unpkg.com/three@0.160.0/examples/jsm/loaders/OBJLoader.js';
+import { detectKind } from './assets.js';
+
+const RADIUS = 2.2;          // bounding radius after normalizing (matches the built-in sphere)
+const TARGET_TRIS = 60_000;  // 'auto' subdivides until roughly the built-in shapes' density
+const MAX_TRIS = 260_000;    // never subdivide past this (each level is ×4)
+
+// Shape key used by Visuals / the #shape select for an imported model
+export const modelShape = (name) => `model:${name}`;
+
+/**
+ * Load a model → { name, geometry, triangles, subdivide }.
+ *   url       — where the model lives (object URL or served path)
+ *   files     — { basename: url } for companion files of a .gltf (buffers, textures) picked alongside it
+ *   subdivide — 'auto' or a level 0..3
+ */
+export async function loadModel(url, { name = 'model', files = null, subdivide = 'auto' } = {}) {
+  const manager = new THREE.LoadingManager();
+  if (files) manager.setURLModifier((u) => files[decodeURIComponent(u.split(/[\\/]/).pop())] || u);
+  const ext = name.split('.').pop().toLowerCase();
+  let root;
+  try {
+    if (ext === 'obj') root = await new OBJLoader(manager).loadAsync(url);
+    else root = (await new GLTFLoader(manager).loadAsync(url)).scene;
+  } catch (e) {
+    throw new Error(`Could not load model ${name}: ${e.message || e}`);
+  }
+  const geometry = buildGeometry(root, subdivide);
+  if (!geometry) throw new Error(`No triangle meshes in ${name}`);
+  return { name, geometry, triangles: geometry.index.count / 3, subdivide };
+}
+
+// File list (input or drop) → the model file plus object URLs for everything picked with it
+export async function loadModelFiles(fileList, opts = {}) {
+  const list = [...fileList];
+  const main = list.find(f => detectKind(f) === 'model');
+  if (!main) throw new Error('No .glb, .gltf or .obj file selected.');
+  const urls = Object.fromEntries(list.map(f => [f.name, URL.createObjectURL(f)]));
+  try {
+    return await loadModel(urls[main.name], { ...opts, name: main.name, files: urls });
+  } finally {
+    for (const u of Object.values(urls)) URL.revokeObjectURL(u);
+  }
+}
+
+function buildGeometry(root, subdivide) {
+  // world-space triangle soup of every mesh (skinned meshes in bind pose, instances ignored)
+  root.updateMatrixWorld(true);
+  const chunks = [];
+  const v = new THREE.Vector3();
+  root.traverse((o) => {
+    const g = o.isMesh && o.geometry;
+    const src = g && g.attributes.position;
+    if (!src) return;
+    const idx = g.index;
+    const n = idx ? idx.count : src.count;
+    const tri = new Float32Array((n - (n % 3)) * 3);
+    for (let i = 0; i < tri.length / 3; i++) {
+      v.fromBufferAttribute(src, idx ? idx.getX(i) : i).applyMatrix4(o.matrixWorld);
+      tri[i * 3] = v.x; tri[i * 3 + 1] = v.y; tri[i * 3 + 2] = v.z;
+    }
+    chunks.push(tri);
+  });
+  const total = chunks.reduce((s, c) => s + c.length, 0);
+  if (!total) return null;
+  const soup = new Float32Array(total);
+  let off = 0;
+  for (const c of chunks) { soup.set(c, off); off += c.length; }
+
+  normalize(soup);
+  let { positions, index } = weld(soup);
+
+  let levels = subdivide === 'auto' ? 3 : Math.max(0, Math.min(3, Math.round(+subdivide) || 0));
+  while (levels-- > 0) {
+    const tris = index.length / 3;
+    if (tris * 4 > MAX_TRIS || (subdivide === 'auto' && tris >= TARGET_TRIS)) break;
+    ({ positions, index } = split(positions, index));
+  }
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+  geometry.setAttribute('uv', new THREE.BufferAttribute(sphericalUV(positions), 2));
+  geometry.setIndex(new THREE.BufferAttribute(index, 1));
+  geometry.computeVertexNormals();
+  geometry.computeBoundingSphere();
+  return geometry;
+}
+
+// Center on the bounding box and scale the farthest vertex to RADIUS (in place)
+function normalize(p) {
+  const min = [Infinity, Infinity, Infinity], max = [-Infinity, -Infinity, -Infinity];
+  for (let i = 0; i < p.length; i++) { const a = i % 3; if (p[i] < min[a]) min[a] = p[i]; if (p[i] > max[a]) max[a] = p[i]; }
+  const c = [0, 1, 2].map(a => (min[a] + max[a]) / 2);
+  let r = 0;
+  for (let i = 0; i < p.length; i += 3) r = Math.max(r, Math.hypot(p[i] - c[0], p[i + 1] - c[1], p[i + 2] - c[2]));
+  const s = r > 0 ? RADIUS / r : 1;
+  for (let i = 0; i < p.length; i++) p[i] = (p[i] - c[i % 3]) * s;
+}
+
+// Merge coincident vertices (so displacement doesn't tear the mesh apart at seams) and drop degenerate triangles
+function weld(soup) {
+  const q = 1e4; // positions within 1e-4 units are the same vertex
+  const ids = new Map(), positions = [], index = [];
+  const tri = [0, 0, 0];
+  for (let i = 0; i < soup.length / 3; i++) {
+    const x = soup[i * 3], y = soup[i * 3 + 1], z = soup[i * 3 + 2];
+    const key = `${Math.round(x * q)},${Math.round(y * q)},${Math.round(z * q)}`;
+    let id = ids.get(key);
+    if (id === undefined) { id = positions.length / 3; ids.set(key, id); positions.push(x, y, z); }
+    tri[i % 3] = id;
+    if (i % 3 === 2 && tri[0] !== tri[1] && tri[1] !== tri[2] && tri[0] !== tri[2]) index.push(tri[0], tri[1], tri[2]);
+  }
+  return { positions: new Float32Array(positions), index: new Uint32Array(index) };
+}
+
+// One level of midpoint subdivision: every triangle → 4, shared edges share their midpoint
+function split(positions, index) {
+  const pos = Array.from(positions);
+  const mids = new Map();
+  const mid = (a, b) => {
+    const key = a < b ? a * 0x400000 + b : b * 0x400000 + a;
+    let m = mids.get(key);
+    if (m === undefined) {
+      m = pos.length / 3;
+      pos.push((pos[a * 3] + pos[b * 3]) / 2, (pos[a * 3 + 1] + pos[b * 3 + 1]) / 2, (pos[a * 3 + 2] + pos[b * 3 + 2]) / 2);
+      mids.set(key, m);
+    }
+    return m;
+  };
+  const out = new Uint32Array(index.length * 4);
+  for (let i = 0, o = 0; i < index.length; i += 3) {
+    const a = index[i], b = index[i + 1], c = index[i + 2];
+    const ab = mid(a, b), bc = mid(b, c), ca = mid(c, a);
+    out.set([a, ab, ca, ab, b, bc, ca, bc, c, ab, bc, ca], o);
+    o += 12;
+  }
+  return { positions: new Float32Array(pos), index: out };
+}
+
+function sphericalUV(p) {
+  const uv = new Float32Array(p.length / 3 * 2);
+  for (let i = 0, j = 0; i < p.length; i += 3, j += 2) {
+    const r = Math.hypot(p[i], p[i + 1], p[i + 2]) || 1;
+    uv[j] = 0.5 + Math.atan2(p[i + 2], p[i]) / (2 * Math.PI);
+    uv[j + 1] = 0.5 + Math.asin(Math.max(-1, Math.min(1, p[i + 1] / r))) / Math.PI;
+  }
+  return uv;
+}
@@ -0,0 +1,114 @@
+// Modulation matrix: route audio/time features to visual parameters.
+// A route is { source, target, amount, curve, attack, release, min, max, rate }:
+//   source  — 'level' | 'beatPulse' | 'onset' | 'barPhase' | 'band:<name>' | 'lfoSine' | 'lfoTri' | 'lfoSaw' | 'lfoSquare' | 'noise'
+//   target  — a numeric style field other than the phase speeds (see Visuals._phase), or 'cameraRadius' | 'fogNear' | 'fogFar' | 'ambLight' | 'keyLight' | 'rimLight'
+//   curve   — shapes the 0..1 source before scaling by amount
+//   attack/release — one-pole smoothing time constants in seconds (0 = instant)
+//   min/max — clamp the target's value after this route is added (null = unclamped)
+//   rate    — Hz for LFOs and noise
+import { clamp } from './noise.js';
+
+export const MOD_SOURCES = ['level', 'beatPulse', 'onset', 'barPhase', 'lfoSine', 'lfoTri', 'lfoSaw', 'lfoSquare', 'noise'];
+export const MOD_SCENE_TARGETS = ['cameraRadius', 'fogNear', 'fogFar', 'ambLight', 'keyLight', 'rimLight'];
+export const MOD_STYLE_TARGETS = ['hue', 'saturation', 'lightness', 'emissive', 'noiseScale', 'displaceAmp', 'audioReact', 'eventReact',
+  'bloom', 'bloomThreshold', 'chroma', 'trails', 'vignette', 'grain', 'lutAmount', 'postReact',
+  'particles', 'particleBurst', 'satelliteOrbit', 'satelliteSize', 'bgIntensity'];
+
+export const MOD_CURVES = {
+  linear: (x) => x,
+  exp: (x) => x * x,
+  log: (x) => Math.sqrt(x),
+  smooth: (x) => x * x * (3 - 2 * x),
+  invert: (x) => 1 - x
+};
+
+const LFOS = {
+  lfoSine: (p) => 0.5 + 0.5 * Math.sin(2 * Math.PI * p),
+  lfoTri: (p) => 1 - Math.abs(2 * (p - Math.floor(p)) - 1),
+  lfoSaw: (p) => p - Math.floor(p),
+  lfoSquare: (p) => (p - Math.floor(p)) < 0.5 ? 1 : 0
+};
+
+const numOr = (v, d) => (v === null || v === undefined || v === '' || !Number.isFinite(+v)) ? d : +v;
+
+export function normalizeRoutes(routes) {
+  if (!Array.isArray(routes)) return [];
+  return routes
+    .filter(r => r && typeof r.source === 'string' && typeof r.target === 'string')
+    .map(r => ({
+      source: r.source,
+      target: r.target,
+      amount: numOr(r.amount, 0.5),
+      curve: MOD_CURVES[r.curve] ? r.curve : 'linear',
+      attack: Math.max(0, numOr(r.attack, 0)),
+      release: Math.max(0, numOr(r.release, 0)),
+      min: numOr(r.min, null),
+      max: numOr(r.max, null),
+      rate: Math.max(0, numOr(r.rate, 0.25))
+    }));
+}
+
+export class ModMatrix {
+  constructor(routes = []) {
+    this.setRoutes(routes);
+  }
+
+  setRoutes(routes) {
+    this.routes = normalizeRoutes(routes);
+    this.reset();
+  }
+
+  reset() {
+    this._env = this.routes.map(() => null);
+    this._lastT = null;
+  }
+
+  get empty() { return this.routes.length === 0; }
+
+  // Raw 0..1 source value. inputs: { t, level, beatPulse, onset, bands, barPhase, barSeconds, perlin }
+  // barPhase comes from tracked downbeats when the caller has them, else a fixed grid from barSeconds.
+  _source(r, i, inp) {
+    const s = r.source;
+    if (s === 'level') return inp.level || 0;
+    if (s === 'beatPulse') return inp.beatPulse || 0;
+    if (s === 'onset') return inp.onset || 0;
+    if (s === 'barPhase') {
+      if (Number.isFinite(inp.barPhase)) return inp.barPhase;
+      const b = inp.barSeconds || 2.0;
+      return (inp.t / b) - Math.floor(inp.t / b);
+    }
+    if (s.startsWith('band:')) return (inp.bands && inp.bands[s.slice(5)]) || 0;
+    if (LFOS[s]) return LFOS[s](inp.t * r.rate);
+    if (s === 'noise' && inp.perlin) return clamp(0.5 + inp.perlin.noise3(inp.t * r.rate, 7.31 + i * 3.7, 1.93), 0, 1);
+    return 0;
+  }
+
+  /**
+   * Apply all routes for this frame. `style` is copied, never mutated; `scene` holds the
+   * non-style targets' base values and is modified in place. Returns the modulated style.
+   */
+  apply(style, scene, inputs) {
+    if (!this.routes.length) return style;
+    const t = inputs.t;
+    const dt = this._lastT === null || t < this._lastT ? 0 : t - this._lastT;
+    this._lastT = t;
+    const out = { ...style };
+    this.routes.forEach((r, i) => {
+      let x = clamp(this._source(r, i, inputs), 0, 1);
+      const prev = this._env[i];
+      if (prev !== null && dt > 0) {
+        const tau = x > prev ? r.attack : r.release;
+        x = tau > 0 ? prev + (x - prev) * (1 - Math.exp(-dt / tau)) : x;
+      }
+      this._env[i] = x;
+      const delta = r.amount * MOD_CURVES[r.curve](x);
+      const holder = r.target in scene ? scene : out;
+      if (typeof holder[r.target] !== 'number') return;
+      let v = holder[r.target] + delta;
+      if (r.min !== null) v = Math.max(r.min, v);
+      if (r.max !== null) v = Math.min(r.max, v);
+      holder[r.target] = v;
+    });
+    return out;
+  }
+}
@@ -0,0 +1,78 @@
+// Modulation matrix editor: one row per route; every edit re-reads all rows and calls onChange(routes).
+import { MOD_SOURCES, MOD_STYLE_TARGETS, MOD_SCENE_TARGETS, MOD_CURVES, normalizeRoutes } from './modmatrix.js';
+
+const FIELDS = [
+  ['amount', 'amt', 0.05],
+  ['attack', 'att s', 0.01],
+  ['release', 'rel s', 0.01],
+  ['min', 'min', 0.05],
+  ['max', 'max', 0.05],
+  ['rate', 'Hz', 0.05]
+];
+
+function select(options, value) {
+  const s = document.createElement('select');
+  for (const o of options) s.add(new Option(o, o));
+  s.value = value;
+  return s;
+}
+
+export class ModPanel {
+  constructor(container, { bands = ['low', 'mid', 'high'], onChange } = {}) {
+    this.container = container;
+    this.bands = bands;
+    this.onChange = onChange;
+    this.routes = [];
+  }
+
+  setBands(names) { this.bands = names; this._render(); }
+
+  setRoutes(routes) { this.routes = normalizeRoutes(routes); this._render(); }
+
+  getRoutes() { return this.routes.map(r => ({ ...r })); }
+
+  addRoute(route = { source: 'beatPulse', target: 'displaceAmp', amount: 0.3 }) {
+    this.routes.push(...normalizeRoutes([route]));
+    this._render();
+    this._emit();
+  }
+
+  _emit() { this.onChange && this.onChange(this.getRoutes()); }
+
+  _render() {
+    this.container.textContent = '';
+    const sources = [...MOD_SOURCES, ...this.bands.map(b => `band:${b}`)];
+    const targets = [...MOD_STYLE_TARGETS, ...MOD_SCENE_TARGETS];
+    this.routes.forEach((r, i) => {
+      const row = document.createElement('div');
+      row.className = 'row modRow';
+      const src = select(sources.includes(r.source) ? sources : [...sources, r.source], r.source);
+      const tgt = select(targets.includes(r.target) ? targets : [...targets, r.target], r.target);
+      const curve = select(Object.keys(MOD_CURVES), r.curve);
+      src.title = 'source'; tgt.title = 'target'; curve.title = 'curve';
+      row.append(src, document.createTextNode('→'), tgt, curve);
+
+      const inputs = {};
+      for (const [key, label, step] of FIELDS) {
+        const inp = document.createElement('input');
+        inp.type = 'number'; inp.step = String(step); inp.title = key; inp.placeholder = label;
+        inp.value = r[key] === null ? '' : String(r[key]);
+        inputs[key] = inp;
+        row.append(inp);
+      }
+      const del = document.createElement('button');
+      del.textContent = '✖'; del.title = 'remove route';
+      row.append(del);
+
+      const read = () => {
+        const next = { source: src.value, target: tgt.value, curve: curve.value };
+        for (const [key] of FIELDS) next[key] = inputs[key].value;
+        this.routes[i] = normalizeRoutes([next])[0];
+        this._emit();
+      };
+      row.addEventListener('change', (e) => { if (e.target !== del) read(); });
+      del.addEventListener('click', () => { this.routes.splice(i, 1); this._render(); this._emit(); });
+      this.container.append(row);
+    });
+  }
+}
@@ -0,0 +1,160 @@
+// Shape transitions. Pure data and math (no three), so project.js and the CLI can share the settings.
+//   morph    — both shapes resampled onto one sphere-mapped vertex set and blended vertex by vertex
+//              (only for star-shaped pairs; anything else falls back to dissolve)
+//   dissolve — crossfade between the two meshes
+//   collapse — the old shape shrinks to nothing, the new one grows out of it
+//   cut      — swap in a single frame (the old behavior)
+import { mulberry32 } from './noise.js';
+
+export const TRANSITION_MODES = ['morph', 'dissolve', 'collapse', 'cut'];
+export const TRANSITION_DEFAULTS = { mode: 'morph', beats: 4, downbeat: false }; // downbeat: manual changes wait for the next bar
+
+export function normalizeTransition(o = {}) {
+  const d = TRANSITION_DEFAULTS;
+  const beats = +o.beats;
+  return {
+    mode: TRANSITION_MODES.includes(o.mode) ? o.mode : d.mode,
+    beats: Number.isFinite(beats) && o.beats !== null && o.beats !== '' ? Math.max(0.25, Math.min(64, beats)) : d.beats,
+    downbeat: typeof o.downbeat === 'boolean' ? o.downbeat : d.downbeat
+  };
+}
+
+export const easeInOut = (x) => x * x * (3 - 2 * x);
+export const easeOutBack = (x) => 1 + 2.70158 * Math.pow(x - 1, 3) + 1.70158 * Math.pow(x - 1, 2);
+
+const SAMPLES = 48_000; // surface samples per shape; several per morph vertex keeps the resampled surface tight
+const CELLS = 48;       // cube-map bins per face edge for the direction lookup
+const MAX_PER_CELL = 64;
+const STAR_SAMPLES = 24_000; // isStarShaped(): fewer samples in coarser bins, so every bin of a closed surface gets some
+const STAR_CELLS = 16;
+
+// Cube-map cell of a direction: face (major axis) × cells × cells
+function cellOf(x, y, z, cells = CELLS) {
+  const ax = Math.abs(x), ay = Math.abs(y), az = Math.abs(z);
+  let f, u, v, m;
+  if (ax >= ay && ax >= az) { f = x > 0 ? 0 : 1; m = ax; u = z; v = y; }
+  else if (ay >= az) { f = y > 0 ? 2 : 3; m = ay; u = x; v = z; }
+  else { f = z > 0 ? 4 : 5; m = az; u = x; v = y; }
+  const cu = Math.min(cells - 1, Math.floor((u / m + 1) / 2 * cells));
+  const cv = Math.min(cells - 1, Math.floor((v / m + 1) / 2 * cells));
+  return [f, cu, cv];
+}
+
+// The mesh's own vertices plus `count` area-weighted random surface points (fixed seed), flat xyz
+function sampleSurface(positions, index, count) {
+  const triCount = index ? index.length / 3 : positions.length / 9;
+  const vi = index ? (i) => index[i] : (i) => i;
+  // cumulative triangle areas for area-weighted sampling
+  const cum = new Float64Array(triCount);
+  let total = 0;
+  for (let t = 0; t < triCount; t++) {
+    const a = vi(t * 3) * 3, b = vi(t * 3 + 1) * 3, c = vi(t * 3 + 2) * 3;
+    const ux = positions[b] - positions[a], uy = positions[b + 1] - positions[a + 1], uz = positions[b + 2] - positions[a + 2];
+    const wx = positions[c] - positions[a], wy = positions[c + 1] - positions[a + 1], wz = positions[c + 2] - positions[a + 2];
+    total += Math.hypot(uy * wz - uz * wy, uz * wx - ux * wz, ux * wy - uy * wx) / 2;
+    cum[t] = total;
+  }
+
+  const vertCount = positions.length / 3;
+  const n = vertCount + count;
+  const pts = new Float32Array(n * 3);
+  pts.set(positions);
+  const rand = mulberry32(0x6d6f7270);
+  for (let k = vertCount; k < n; k++) {
+    let lo = 0, hi = triCount - 1;
+    const r = rand() * total;
+    while (lo < hi) { const mid = (lo + hi) >> 1; if (cum[mid] < r) lo = mid + 1; else hi = mid; }
+    const a = vi(lo * 3) * 3, b = vi(lo * 3 + 1) * 3, c = vi(lo * 3 + 2) * 3;
+    let s = rand(), q = rand();
+    if (s + q > 1) { s = 1 - s; q = 1 - q; }
+    for (let j = 0; j < 3; j++) pts[k * 3 + j] = positions[a + j] + s * (positions[b + j] - positions[a + j]) + q * (positions[c + j] - positions[a + j]);
+  }
+  return pts;
+}
+
+/**
+ * Whether every direction from the origin meets the surface about once, i.e. whether
+ * resampleToSphere() reproduces the shape. Holes and overhangs (a torus knot, a plane seen
+ * edge-on) show up as direction bins with no samples or with samples at very different distances.
+ */
+export function isStarShaped(positions, index) {
+  const pts = sampleSurface(positions, index, STAR_SAMPLES);
+  const cellCount = 6 * STAR_CELLS * STAR_CELLS;
+  const near = new Float32Array(cellCount).fill(Infinity), far = new Float32Array(cellCount);
+  for (let k = 0; k < pts.length; k += 3) {
+    const x = pts[k], y = pts[k + 1], z = pts[k + 2];
+    const r = Math.sqrt(x * x + y * y + z * z);
+    if (!r) continue;
+    const [f, u, v] = cellOf(x, y, z, STAR_CELLS);
+    const c = (f * STAR_CELLS + v) * STAR_CELLS + u;
+    if (r < near[c]) near[c] = r;
+    if (r > far[c]) far[c] = r;
+  }
+  let bad = 0;
+  for (let c = 0; c < cellCount; c++) if (!far[c] || far[c] - near[c] > 0.25 * far[c]) bad++;
+  return bad <= cellCount * 0.01;
+}
+
+/**
+ * Resample a triangle mesh onto fixed directions: for every unit direction in `dirs`, the surface
+ * point (of an area-weighted, fixed-seed sample of the mesh) seen closest to that direction from
+ * the origin. positions: flat xyz; index: triangle indices or null (sequential). → Float32Array like dirs.
+ */
+export function resampleToSphere(positions, index, dirs) {
+  const pts = sampleSurface(positions, index, SAMPLES);
+  const n = pts.length / 3;
+
+  // bin the samples by direction (counting sort into cube-map cells)
+  const cellCount = 6 * CELLS * CELLS;
+  const cellIdx = (f, u, v) => (f * CELLS + v) * CELLS + u;
+  const start = new Int32Array(cellCount + 1), sampleCell = new Int32Array(n);
+  const inv = new Float32Array(n); // 1 / distance from the origin
+  for (let k = 0; k < n; k++) {
+    const x = pts[k * 3], y = pts[k * 3 + 1], z = pts[k * 3 + 2];
+    if (!x && !y && !z) { sampleCell[k] = -1; continue; }
+    inv[k] = 1 / Math.sqrt(x * x + y * y + z * z);
+    const [f, u, v] = cellOf(x, y, z);
+    sampleCell[k] = cellIdx(f, u, v);
+    start[sampleCell[k] + 1]++;
+  }
+  for (let i = 0; i < cellCount; i++) start[i + 1] += start[i];
+  const fill = start.slice(0, cellCount), sorted = new Int32Array(n);
+  for (let k = 0; k < n; k++) if (sampleCell[k] >= 0) sorted[fill[sampleCell[k]]++] = k;
+  // a thinned-out set for directions whose neighbourhood is empty (a plane seen edge-on has whole empty faces)
+  const valid = start[cellCount], stride = Math.max(1, Math.ceil(valid / 2048));
+  const coarse = [];
+  for (let j = 0; j < valid; j += stride) coarse.push(sorted[j]);
+  const closer = (dx, dy, dz, k, bestDot) => {
+    const d = (dx * pts[k * 3] + dy * pts[k * 3 + 1] + dz * pts[k * 3 + 2]) * inv[k];
+    return d > bestDot ? d : null;
+  };
+
+  const out = new Float32Array(dirs.length);
+  for (let i = 0; i < dirs.length; i += 3) {
+    const dx = dirs[i], dy = dirs[i + 1], dz = dirs[i + 2];
+    const [f, u, v] = cellOf(dx, dy, dz);
+    let best = -1, bestDot = -Infinity;
+    // widen the search ring a little when the neighbouring cells are empty
+    for (let ring = 1; best < 0 && ring <= 3; ring++) {
+      for (let cv = Math.max(0, v - ring); cv <= Math.min(CELLS - 1, v + ring); cv++) {
+        for (let cu = Math.max(0, u - ring); cu <= Math.min(CELLS - 1, u + ring); cu++) {
+          // crowded cells (flat shapes pile samples into a few rows) only need a handful of candidates
+          const c = cellIdx(f, cu, cv), end = Math.min(start[c + 1], start[c] + MAX_PER_CELL);
+          for (let j = start[c]; j < end; j++) {
+            const d = closer(dx, dy, dz, sorted[j], bestDot);
+            if (d !== null) { bestDot = d; best = sorted[j] * 3; }
+          }
+        }
+      }
+    }
+    if (best < 0) {
+      for (const k of coarse) {
+        const d = closer(dx, dy, dz, k, bestDot);
+        if (d !== null) { bestDot = d; best = k * 3; }
+      }
+    }
+    if (best < 0) continue; // no samples at all
+    out[i] = pts[best]; out[i + 1] = pts[best + 1]; out[i + 2] = pts[best + 2];
+  }
+  return out;
+}
@@ -4,7 +4,7 @@ export class Perlin {
     this.setSeed(seed);
   }
   setSeed(seed) {
-    this._seed = (typeof seed === 'string') ? this._hashString(seed) : seed >>> 0;
+    this._seed = seedToInt(seed);
     const p = new Uint8Array(256);
     const rand = mulberry32(this._seed);
     for (let i = 0; i < 256; i++) p[i] = i;
@@ -54,15 +54,18 @@ export class Perlin {
     }
     return sum;
   }
-  _hashString(s) {
-    let h = 2166136261 >>> 0;
-    for (let i = 0; i < s.length; i++) {
-      h ^= s.charCodeAt(i);
-      h = Math.imul(h, 16777619);
-    }
-    return h >>> 0;
+  _hashString(s) { return hashString(s); }
+}
+// FNV-1a; project seeds are strings, so every seeded system hashes them the same way
+export function hashString(s) {
+  let h = 2166136261 >>> 0;
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 16777619);
   }
+  return h >>> 0;
 }
+export const seedToInt = (seed) => (typeof seed === 'string') ? hashString(seed) : seed >>> 0;
 export function mulberry32(a) {
   return function() {
     let t = a += 0x6D2B79F5;
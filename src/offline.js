@@ -0,0 +1,64 @@
+// Deterministic frame-stepped renderer: a virtual clock advances exactly 1/fps per frame,
+// audio-reactive inputs come from the precomputed analysis, and every frame is read back from the canvas.
+import { levelAt, beatPulseAt, bandsAt, onsetAt, barPhaseAt } from './analyze.js';
+import { analysisEventSource } from './events.js';
+
+function canvasToBlob(canvas, mime, quality) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((b) => b ? resolve(b) : reject(new Error('Canvas capture failed')), mime, quality);
+  });
+}
+
+export class OfflineRenderer {
+  constructor(visuals) {
+    this.visuals = visuals;
+    this.running = false;
+    this._cancel = false;
+  }
+
+  cancel() { this._cancel = true; }
+
+  /**
+   * Render `duration` seconds starting at track time `start`.
+   * onFrame(blob, index, t) is awaited before the next frame is drawn.
+   * Options: { analysis, sections, events, seed, shape, fps, start, duration, barSeconds, mime, onFrame, onProgress }
+   * `sections` overrides analysis.sections (e.g. after the user renamed/merged them).
+   * `events` is an events.js source (default: the analysis' onsets); one with pulseAt() also drives beatPulse.
+   */
+  async render({ analysis, sections = null, events = null, seed, shape = 'cycle', fps = 60, start = 0, duration, barSeconds, mime = 'image/png', onFrame, onProgress } = {}) {
+    if (!analysis) throw new Error('Offline render needs an audio analysis.');
+    if (this.running) throw new Error('Offline render already running.');
+    const v = this.visuals;
+    const canvas = v.getCanvas();
+    const total = Math.max(1, Math.round(duration * fps));
+    const autoShape = shape === 'cycle';
+
+    this.running = true;
+    this._cancel = false;
+    v.reset({ seed, shape });
+    v.setBarSeconds(barSeconds);
+    v.setBarTimes(analysis.downbeats);
+    v.setSections(sections || analysis.sections);
+    const evs = events || analysisEventSource(analysis);
+    v.setEventSource(evs);
+    const pulseAt = evs.pulseAt ? (t) => evs.pulseAt(t) : (t) => beatPulseAt(analysis.beatTimes, t, 0.12);
+    if (autoShape) v.scheduleAutoShape(start, barSeconds);
+
+    let i = 0;
+    try {
+      for (; i < total && !this._cancel; i++) {
+        const t = start + i / fps; // never accumulate: i/fps keeps every timestamp exact
+        await v.seekVideo(t);
+        v.update({ t, level: levelAt(analysis, t), beatPulse: pulseAt(t), bands: bandsAt(analysis, t), onset: onsetAt(analysis, t), barPhase: barPhaseAt(analysis, t), autoShape });
+        v.render();
+        const blob = await canvasToBlob(canvas, mime);
+        if (onFrame) await onFrame(blob, i, t);
+        onProgress && onProgress((i + 1) / total);
+      }
+    } finally {
+      v.releaseVideo();
+      this.running = false;
+    }
+    return { frames: i, cancelled: this._cancel };
+  }
+}
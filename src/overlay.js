@@ -0,0 +1,139 @@
+// Text / logo overlay composited over the final frame (after post.js), so live recordings
+// (captureStream) and offline renders (canvas readback) both contain it.
+// Text is laid out on a 2D canvas at drawing-buffer size and uploaded as a texture only when a cue
+// or logo is visible; drawing is a pure function of (t, pulse), which keeps takes deterministic.
+import * as THREE from 'https://unpkg.com/three@0.160.0/build/three.module.js';
+import { normalizeCues, cuesAt, normalizeOverlay, OVERLAY_FONTS } from './cues.js';
+import { VERTICAL_UI } from './safearea.js';
+
+const VERT = /* glsl */`
+varying vec2 vUv;
+void main() { vUv = uv; gl_Position = vec4(position.xy, 0.0, 1.0); }`;
+
+// The 2D canvas already holds display (sRGB) values, so they pass through unconverted
+const FRAG = /* glsl */`
+uniform sampler2D tOverlay;
+varying vec2 vUv;
+void main() { gl_FragColor = texture2D(tOverlay, vUv); }`;
+
+export class TextOverlay {
+  constructor(renderer) {
+    this.renderer = renderer;
+    this.settings = normalizeOverlay();
+    this.cues = [];
+    this.logo = null; // ImageBitmap / HTMLImageElement
+
+    this.canvas = document.createElement('canvas');
+    this.ctx = this.canvas.getContext('2d');
+    this.texture = new THREE.CanvasTexture(this.canvas);
+    this.texture.colorSpace = THREE.NoColorSpace;
+    this.texture.premultiplyAlpha = true;
+
+    this._scene = new THREE.Scene();
+    this._cam = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+    const mat = new THREE.ShaderMaterial({
+      vertexShader: VERT, fragmentShader: FRAG, uniforms: { tOverlay: { value: this.texture } },
+      transparent: true, depthTest: false, depthWrite: false,
+      blending: THREE.CustomBlending, blendSrc: THREE.OneFactor, blendDst: THREE.OneMinusSrcAlphaFactor
+    });
+    const quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), mat);
+    quad.frustumCulled = false;
+    this._scene.add(quad);
+    this.setSize();
+  }
+
+  // Follows the renderer's drawing-buffer size, like PostFX.setSize
+  setSize() {
+    const size = this.renderer.getDrawingBufferSize(new THREE.Vector2());
+    this.canvas.width = Math.max(1, size.x);
+    this.canvas.height = Math.max(1, size.y);
+  }
+
+  set({ settings, cues, logo } = {}) {
+    if (settings !== undefined) this.settings = normalizeOverlay(settings);
+    if (cues !== undefined) this.cues = normalizeCues(cues);
+    if (logo !== undefined) this.logo = logo;
+  }
+
+  get empty() { return !this.cues.length && !this.logo; }
+
+  // Draw the overlay for time t over whatever the renderer just produced on the canvas
+  render(t, pulse = 0) {
+    const active = cuesAt(this.cues, t);
+    if (!active.length && !this.logo) return;
+    this._draw(active, t, pulse);
+    this.texture.needsUpdate = true;
+    const r = this.renderer, autoClear = r.autoClear;
+    r.autoClear = false;
+    r.setRenderTarget(null);
+    r.render(this._scene, this._cam);
+    r.autoClear = autoClear;
+  }
+
+  _draw(active, t, pulse) {
+    const { ctx, canvas: { width: w, height: h } } = this;
+    const s = this.settings;
+    ctx.clearRect(0, 0, w, h);
+    if (this.logo) this._drawLogo(w, h);
+
+    const vertical = w / h < 0.8;
+    const marginX = w * 0.05;
+    // stacked cues go upwards from the anchor for bottom-anchored positions
+    let stack = 0;
+    for (const cue of active) {
+      const a = Math.min(1, s.fade > 0 ? Math.min(t - cue.start, cue.end - t) / s.fade : 1);
+      const k = s.anim === 'none' ? 1 : Math.max(0, a);
+      const beat = 1 + 0.08 * s.pulse * pulse;
+      const scale = (s.anim === 'scale' ? 0.85 + 0.15 * k : 1) * beat;
+      const slide = s.anim === 'slide' ? (1 - k) * h * 0.04 : 0;
+
+      const lines = cue.text.split('|').map(l => l.trim()).filter(Boolean);
+      const px = (i) => h * s.size / 100 * (i ? 0.6 : 1);
+      const blockH = lines.reduce((n, l, i) => n + px(i) * 1.2, 0);
+      const left = s.position === 'lower-third';
+      const x = left ? marginX + w * 0.03 : w / 2;
+      let y;
+      if (s.position === 'top') y = h * (vertical ? VERTICAL_UI.top + 0.02 : 0.08) + stack;
+      else if (s.position === 'center') y = (h - blockH) / 2 + stack;
+      else if (s.position === 'lower-third') y = h * 0.72 - blockH - stack;
+      else y = h * (vertical ? 1 - VERTICAL_UI.bottom - 0.02 : 0.9) - blockH - stack;
+      stack += blockH + h * 0.02;
+
+      ctx.save();
+      ctx.globalAlpha = k;
+      ctx.translate(x, y + blockH / 2 + slide);
+      ctx.scale(scale, scale);
+      ctx.translate(-x, -(y + blockH / 2));
+      ctx.textAlign = left ? 'left' : 'center';
+      ctx.textBaseline = 'top';
+      ctx.fillStyle = s.color;
+      ctx.shadowColor = `rgba(0,0,0,${0.8 * s.shadow})`;
+      ctx.shadowBlur = h * 0.01 * s.shadow + h * 0.02 * s.pulse * pulse;
+      ctx.shadowOffsetY = h * 0.003 * s.shadow;
+      let ly = y;
+      lines.forEach((line, i) => {
+        ctx.font = `${i ? Math.max(100, s.weight - 300) : s.weight} ${Math.round(px(i))}px ${OVERLAY_FONTS[s.font]}`;
+        // shrink lines that would run past the title-safe margin
+        const maxW = left ? w - x - marginX : w - 2 * marginX;
+        const mw = ctx.measureText(line).width;
+        if (mw > maxW) ctx.font = `${i ? Math.max(100, s.weight - 300) : s.weight} ${Math.floor(px(i) * maxW / mw)}px ${OVERLAY_FONTS[s.font]}`;
+        ctx.fillText(line, x, ly);
+        ly += px(i) * 1.2;
+      });
+      ctx.restore();
+    }
+  }
+
+  _drawLogo(w, h) {
+    const s = this.settings, img = this.logo;
+    const lh = h * s.logoSize / 100, lw = lh * (img.width / img.height || 1);
+    const m = Math.min(w, h) * 0.05;
+    const right = s.logoPosition.endsWith('right'), bottom = s.logoPosition.startsWith('bottom');
+    const vertical = w / h < 0.8;
+    const x = right ? w - m - lw : m;
+    const y = bottom ? h * (vertical ? 1 - VERTICAL_UI.bottom : 1) - m - lh : (vertical ? h * VERTICAL_UI.top : 0) + m;
+    this.ctx.globalAlpha = s.logoOpacity;
+    this.ctx.drawImage(img, x, y, lw, lh);
+    this.ctx.globalAlpha = 1;
+  }
+}
@@ -0,0 +1,290 @@
+// Post-processing chain drawn after the scene: bloom → kaleidoscope mirror → chromatic aberration →
+// feedback trails → color LUT → vignette → film grain. Parameters are plain style fields (POST_DEFAULTS),
+// so prompts, the timeline and the modulation matrix drive them like any other style value.
+// Everything depends only on (style, pulse, t, seed) and the previous frame, so offline renders repeat exactly.
+import * as THREE from 'https://unpkg.com/three@0.160.0/build/three.module.js';
+
+export const POST_DEFAULTS = {
+  bloom: 0,             // strength; 0 = off
+  bloomThreshold: 0.7,  // luma above which pixels glow
+  kaleidoSegments: 6,   // mirror wedges when style.kaleidoscope is on
+  chroma: 0,            // chromatic aberration, ~0..1
+  trails: 0,            // feedback persistence per 1/60 s, 0..0.97
+  vignette: 0,          // 0..1
+  grain: 0,             // 0..1
+  lut: 'none',          // color LUT preset, see LUTS
+  lutAmount: 1,         // blend toward the LUT result
+  postReact: 0.5        // how much beat pulse pushes bloom/chroma/vignette/kaleido spin
+};
+
+const luma = (r, g, b) => 0.2126 * r + 0.7152 * g + 0.0722 * b;
+const sat = (x) => Math.max(0, Math.min(1, x));
+const contrast = (x, k) => (x - 0.5) * k + 0.5;
+
+// Display-referred (sRGB 0..1) grading functions, baked into 16³ LUTs
+export const LUTS = {
+  none: (r, g, b) => [r, g, b],
+  warm: (r, g, b) => [r * 1.08 + 0.02, g * 1.01, b * 0.86],
+  cool: (r, g, b) => [r * 0.88, g * 1.0 + 0.01, b * 1.1 + 0.03],
+  mono: (r, g, b) => { const l = contrast(luma(r, g, b), 1.1); return [l, l, l]; },
+  bleach: (r, g, b) => {
+    const l = luma(r, g, b);
+    return [r, g, b].map(c => contrast(c + (l - c) * 0.55, 1.3));
+  },
+  'teal-orange': (r, g, b) => {
+    const l = luma(r, g, b), s = Math.max(0, 0.5 - l) * 0.5, h = Math.max(0, l - 0.5) * 0.5;
+    return [r - s * 0.6 + h * 0.5, g + s * 0.15 + h * 0.1, b + s * 0.5 - h * 0.6];
+  },
+  vintage: (r, g, b) => {
+    const l = luma(r, g, b);
+    return [r, g, b].map((c, i) => 0.08 + 0.86 * (c + (l - c) * 0.35) + [0.03, 0.01, -0.04][i]);
+  }
+};
+
+const LUT_SIZE = 16;
+
+function bakeLut(fn) {
+  const n = LUT_SIZE, data = new Uint8Array(n * n * n * 4);
+  for (let b = 0; b < n; b++) for (let g = 0; g < n; g++) for (let r = 0; r < n; r++) {
+    const [R, G, B] = fn(r / (n - 1), g / (n - 1), b / (n - 1));
+    const i = (g * n * n + b * n + r) * 4; // slices side by side: x = b * n + r, y = g
+    data[i] = Math.round(sat(R) * 255); data[i + 1] = Math.round(sat(G) * 255); data[i + 2] = Math.round(sat(B) * 255); data[i + 3] = 255;
+  }
+  const tex = new THREE.DataTexture(data, n * n, n, THREE.RGBAFormat, THREE.UnsignedByteType);
+  tex.minFilter = tex.magFilter = THREE.LinearFilter;
+  tex.needsUpdate = true;
+  return tex;
+}
+
+const VERT = /* glsl */`
+varying vec2 vUv;
+void main() { vUv = uv; gl_Position = vec4(position.xy, 0.0, 1.0); }
+`;
+
+const BRIGHT_FRAG = /* glsl */`
+uniform sampler2D tInput;
+uniform float uThreshold;
+varying vec2 vUv;
+void main() {
+  vec3 c = texture2D(tInput, vUv).rgb;
+  float l = dot(c, vec3(0.2126, 0.7152, 0.0722));
+  gl_FragColor = vec4(c * smoothstep(uThreshold, uThreshold + 0.25, l), 1.0);
+}
+`;
+
+const BLUR_FRAG = /* glsl */`
+uniform sampler2D tInput;
+uniform vec2 uDir;
+varying vec2 vUv;
+void main() {
+  vec3 c = texture2D(tInput, vUv).rgb * 0.227027;
+  c += (texture2D(tInput, vUv + uDir * 1.384615).rgb + texture2D(tInput, vUv - uDir * 1.384615).rgb) * 0.316216;
+  c += (texture2D(tInput, vUv + uDir * 3.230769).rgb + texture2D(tInput, vUv - uDir * 3.230769).rgb) * 0.070270;
+  gl_FragColor = vec4(c, 1.0);
+}
+`;
+
+// Scene-referred stage: kaleidoscope, aberration, bloom add and feedback (kept linear so trails don't re-grade)
+const COMPOSITE_FRAG = /* glsl */`
+uniform sampler2D tScene;
+uniform sampler2D tBloom;
+uniform sampler2D tPrev;
+uniform vec2 uResolution;
+uniform float uSegments;
+uniform float uKRot;
+uniform float uChroma;
+uniform float uBloom;
+uniform float uTrails;
+varying vec2 vUv;
+
+vec2 kaleido(vec2 uv) {
+  float aspect = uResolution.x / uResolution.y;
+  vec2 p = (uv - 0.5) * vec2(aspect, 1.0);
+  float r = length(p);
+  float seg = 6.2831853 / uSegments;
+  float a = mod(atan(p.y, p.x) + uKRot, seg);
+  a = abs(a - 0.5 * seg);
+  return vec2(cos(a), sin(a)) * r / vec2(aspect, 1.0) + 0.5;
+}
+
+void main() {
+  vec2 uv = uSegments >= 2.0 ? kaleido(vUv) : vUv;
+  vec2 off = (uv - 0.5) * uChroma * 0.02;
+  vec3 c = vec3(texture2D(tScene, uv + off).r, texture2D(tScene, uv).g, texture2D(tScene, uv - off).b);
+  c += texture2D(tBloom, uv).rgb * uBloom;
+  if (uTrails > 0.0) c = max(c, texture2D(tPrev, vUv).rgb * uTrails);
+  gl_FragColor = vec4(c, 1.0);
+}
+`;
+
+// Display-referred stage: LUT, vignette and grain, written straight to the canvas as sRGB
+const GRADE_FRAG = /* glsl */`
+uniform sampler2D tInput;
+uniform sampler2D tLut;
+uniform float uLutAmount;
+uniform float uVignette;
+uniform float uGrain;
+uniform float uTime;
+uniform float uSeed;
+uniform vec2 uResolution;
+varying vec2 vUv;
+
+vec3 toSRGB(vec3 c) {
+  c = max(c, 0.0);
+  return mix(c * 12.92, 1.055 * pow(c, vec3(1.0 / 2.4)) - 0.055, step(0.0031308, c));
+}
+
+vec3 lut(vec3 c) {
+  float n = ${LUT_SIZE.toFixed(1)};
+  c = clamp(c, 0.0, 1.0);
+  float b = c.b * (n - 1.0), b0 = floor(b), b1 = min(b0 + 1.0, n - 1.0);
+  vec2 uv = vec2((c.r * (n - 1.0) + 0.5) / (n * n), (c.g * (n - 1.0) + 0.5) / n);
+  return mix(texture2D(tLut, uv + vec2(b0 / n, 0.0)).rgb, texture2D(tLut, uv + vec2(b1 / n, 0.0)).rgb, b - b0);
+}
+
+float hash(vec2 p) { return fract(sin(dot(p, vec2(12.9898, 78.233))) * 43758.5453); }
+
+void main() {
+  vec3 c = toSRGB(texture2D(tInput, vUv).rgb);
+  if (uLutAmount > 0.0) c = mix(c, lut(c), uLutAmount);
+  float d = length((vUv - 0.5) * vec2(uResolution.x / uResolution.y, 1.0));
+  c *= 1.0 - uVignette * smoothstep(0.35, 0.95, d);
+  if (uGrain > 0.0) {
+    float g = hash(floor(vUv * uResolution) + vec2(uSeed, fract(uTime * 0.618) * 1000.0)) - 0.5;
+    c += g * uGrain * 0.25;
+  }
+  gl_FragColor = vec4(c, 1.0);
+}
+`;
+
+const pass = (fragmentShader, uniforms) => new THREE.ShaderMaterial({ vertexShader: VERT, fragmentShader, uniforms, depthTest: false, depthWrite: false });
+
+export class PostFX {
+  constructor(renderer) {
+    this.renderer = renderer;
+    this.seed = 0;
+    this._luts = {};
+    this._prevValid = false;
+
+    this._quadScene = new THREE.Scene();
+    this._quadCam = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+    this._quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2));
+    this._quad.frustumCulled = false;
+    this._quadScene.add(this._quad);
+
+    const rt = (opts = {}) => new THREE.WebGLRenderTarget(1, 1, { type: THREE.HalfFloatType, depthBuffer: false, ...opts });
+    this.rtScene = rt({ depthBuffer: true, samples: renderer.capabilities.isWebGL2 ? 4 : 0 });
+    this.rtBloomA = rt();
+    this.rtBloomB = rt();
+    this.rtAccum = [rt(), rt()];
+
+    this.brightMat = pass(BRIGHT_FRAG, { tInput: { value: null }, uThreshold: { value: 0.7 } });
+    this.blurMat = pass(BLUR_FRAG, { tInput: { value: null }, uDir: { value: new THREE.Vector2() } });
+    this.compositeMat = pass(COMPOSITE_FRAG, {
+      tScene: { value: null }, tBloom: { value: null }, tPrev: { value: null }, uResolution: { value: new THREE.Vector2(1, 1) },
+      uSegments: { value: 0 }, uKRot: { value: 0 }, uChroma: { value: 0 }, uBloom: { value: 0 }, uTrails: { value: 0 }
+    });
+    this.gradeMat = pass(GRADE_FRAG, {
+      tInput: { value: null }, tLut: { value: null }, uLutAmount: { value: 0 }, uVignette: { value: 0 }, uGrain: { value: 0 },
+      uTime: { value: 0 }, uSeed: { value: 0 }, uResolution: { value: new THREE.Vector2(1, 1) }
+    });
+    this.setSize();
+  }
+
+  // Follows the renderer's drawing-buffer size (call after renderer.setSize / setPixelRatio)
+  setSize() {
+    const size = this.renderer.getDrawingBufferSize(new THREE.Vector2());
+    const w = Math.max(1, size.x), h = Math.max(1, size.y);
+    this.rtScene.setSize(w, h);
+    for (const r of this.rtAccum) r.setSize(w, h);
+    this.rtBloomA.setSize(Math.max(1, w >> 1), Math.max(1, h >> 1));
+    this.rtBloomB.setSize(Math.max(1, w >> 1), Math.max(1, h >> 1));
+    this.compositeMat.uniforms.uResolution.value.set(w, h);
+    this.gradeMat.uniforms.uResolution.value.set(w, h);
+    this._prevValid = false;
+  }
+
+  // seed: 32-bit integer (Perlin._hashString of the project seed); offsets the grain pattern
+  setSeed(seed) { this.seed = (seed >>> 0) % 9973; }
+
+  // Forget the feedback buffer so trails restart from a clean frame
+  reset() { this._prevValid = false; }
+
+  _lut(name) {
+    if (!this._luts[name]) this._luts[name] = bakeLut(LUTS[name] || LUTS.none);
+    return this._luts[name];
+  }
+
+  _draw(material, target) {
+    this._quad.material = material;
+    this.renderer.setRenderTarget(target);
+    this.renderer.render(this._quadScene, this._quadCam);
+  }
+
+  // True when every effect is neutral, so the scene can go straight to the canvas
+  static idle(s) {
+    return !(s.bloom > 0) && !s.kaleidoscope && !(s.chroma > 0) && !(s.trails > 0) && !(s.vignette > 0) && !(s.grain > 0)
+      && (!LUTS[s.lut] || s.lut === 'none' || !(s.lutAmount > 0));
+  }
+
+  /**
+   * Draw scene + effects. fx: { style, pulse, t } from the last Visuals.update().
+   */
+  render(scene, camera, { style, pulse = 0, t = 0 }) {
+    const r = this.renderer;
+    if (PostFX.idle(style)) {
+      this._prevValid = false;
+      r.setRenderTarget(null);
+      r.render(scene, camera);
+      return;
+    }
+    const react = 1 + (style.postReact || 0) * pulse;
+
+    r.setRenderTarget(this.rtScene);
+    r.render(scene, camera);
+
+    const bloom = Math.max(0, style.bloom || 0) * react;
+    if (bloom > 0) {
+      this.brightMat.uniforms.tInput.value = this.rtScene.texture;
+      this.brightMat.uniforms.uThreshold.value = style.bloomThreshold ?? POST_DEFAULTS.bloomThreshold;
+      this._draw(this.brightMat, this.rtBloomA);
+      const bw = this.rtBloomA.width, bh = this.rtBloomA.height;
+      for (const spread of [1, 2]) {
+        this.blurMat.uniforms.tInput.value = this.rtBloomA.texture;
+        this.blurMat.uniforms.uDir.value.set(spread / bw, 0);
+        this._draw(this.blurMat, this.rtBloomB);
+        this.blurMat.uniforms.tInput.value = this.rtBloomB.texture;
+        this.blurMat.uniforms.uDir.value.set(0, spread / bh);
+        this._draw(this.blurMat, this.rtBloomA);
+      }
+    }
+
+    const [cur, prev] = this.rtAccum;
+    const cu = this.compositeMat.uniforms;
+    cu.tScene.value = this.rtScene.texture;
+    cu.tBloom.value = this.rtBloomA.texture;
+    cu.tPrev.value = prev.texture;
+    cu.uSegments.value = style.kaleidoscope ? Math.max(2, Math.round(style.kaleidoSegments || POST_DEFAULTS.kaleidoSegments)) : 0;
+    cu.uKRot.value = 0.05 * t + 0.15 * (style.postReact || 0) * pulse;
+    cu.uChroma.value = Math.max(0, style.chroma || 0) * (1 + 2 * (style.postReact || 0) * pulse);
+    cu.uBloom.value = bloom;
+    // persistence is defined per 1/60 s, so trails fade at the same speed at any fps
+    const keep = this._prevValid && t >= this._prevT ? Math.pow(Math.min(0.97, Math.max(0, style.trails || 0)), 60 * (t - this._prevT)) : 0;
+    cu.uTrails.value = keep;
+    this._prevT = t;
+    this._draw(this.compositeMat, cur);
+    this.rtAccum = [prev, cur];
+    this._prevValid = true;
+
+    const gu = this.gradeMat.uniforms;
+    const lutOn = LUTS[style.lut] && style.lut !== 'none';
+    gu.tInput.value = cur.texture;
+    gu.tLut.value = this._lut(lutOn ? style.lut : 'none');
+    gu.uLutAmount.value = lutOn ? Math.max(0, Math.min(1, style.lutAmount ?? 1)) : 0;
+    gu.uVignette.value = Math.max(0, Math.min(1, (style.vignette || 0) * (1 + 0.3 * (react - 1))));
+    gu.uGrain.value = Math.max(0, style.grain || 0);
+    gu.uTime.value = t;
+    gu.uSeed.value = this.seed;
+    this._draw(this.gradeMat, null);
+  }
+}
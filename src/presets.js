@@ -0,0 +1,132 @@
+// Export presets shared by the browser (ffmpeg.wasm) and the headless CLI (native ffmpeg).
+// A preset names a codec plus its defaults; any of crf / bitrate / pixFmt / audioCodec / audioBitrate
+// can be overridden per export. outputArgs() turns the result into ffmpeg output arguments.
+
+// codec → container extension, MIME type and whether it carries audio
+export const CODECS = {
+  h264: { ext: 'mp4', mime: 'video/mp4', audio: true },
+  mpeg4: { ext: 'mp4', mime: 'video/mp4', audio: true },   // MPEG-4 Part 2: fastest and most reliable in wasm
+  vp9: { ext: 'webm', mime: 'video/webm', audio: true },
+  prores: { ext: 'mov', mime: 'video/quicktime', audio: true },
+  gif: { ext: 'gif', mime: 'image/gif', audio: false },
+  webp: { ext: 'webp', mime: 'image/webp', audio: false },
+  png: { ext: 'png', mime: 'image/png', audio: false }      // image sequence
+};
+
+export const AUDIO_CODECS = ['aac', 'opus', 'pcm_s16le', 'pcm_s24le', 'none'];
+export const PIX_FMTS = ['yuv420p', 'yuv422p10le', 'yuv444p10le', 'rgb24'];
+
+// What each video codec (and so its container) accepts; resolvePreset rejects anything else
+// before a render starts instead of letting ffmpeg fail at encode time
+const ALLOWED = {
+  h264: { audio: ['aac', 'opus', 'none'], pixFmt: ['yuv420p', 'yuv422p10le', 'yuv444p10le'] },
+  mpeg4: { audio: ['aac', 'none'], pixFmt: ['yuv420p'] },
+  vp9: { audio: ['opus', 'none'], pixFmt: ['yuv420p', 'yuv422p10le', 'yuv444p10le'] },
+  prores: { audio: ['pcm_s16le', 'pcm_s24le', 'aac', 'none'], pixFmt: ['yuv422p10le'] },
+  gif: { audio: ['none'], pixFmt: null },
+  webp: { audio: ['none'], pixFmt: null },
+  png: { audio: ['none'], pixFmt: ['rgb24'] }
+};
+// The ffmpeg.wasm core's libx264 is an 8-bit build; 10-bit H.264 needs the native CLI
+const WASM_PIX_FMT = { h264: ['yuv420p'] };
+
+export const EXPORT_PRESETS = {
+  youtube: { label: 'YouTube (H.264 CRF 18)', codec: 'h264', crf: 18, pixFmt: 'yuv420p', audioCodec: 'aac', audioBitrate: '320k', recorderBitrate: 16_000_000 },
+  instagram: { label: 'Instagram square (H.264 8 Mbit/s, 1080×1080, 30fps)', codec: 'h264', bitrate: '8M', pixFmt: 'yuv420p', audioCodec: 'aac', audioBitrate: '192k', resolution: '1080x1080', fps: 30, recorderBitrate: 8_000_000 },
+  master: { label: 'Editing master (ProRes 422 HQ, MOV)', codec: 'prores', profile: 3, pixFmt: 'yuv422p10le', audioCodec: 'pcm_s24le', recorderBitrate: 40_000_000 },
+  webm: { label: 'WebM (VP9 CRF 30)', codec: 'vp9', crf: 30, pixFmt: 'yuv420p', audioCodec: 'opus', audioBitrate: '192k', recorderBitrate: 14_000_000 },
+  compat: { label: 'MP4 compatible (MPEG-4 Part 2)', codec: 'mpeg4', crf: 3, pixFmt: 'yuv420p', audioCodec: 'aac', audioBitrate: '192k', recorderBitrate: 14_000_000 },
+  gif: { label: 'GIF preview (480px, 15fps)', codec: 'gif', width: 480, fps: 15, audioCodec: 'none' },
+  webp: { label: 'Animated WebP preview (640px)', codec: 'webp', crf: 75, width: 640, fps: 24, audioCodec: 'none' },
+  png: { label: 'PNG image sequence', codec: 'png', pixFmt: 'rgb24', audioCodec: 'none' }
+};
+
+// Headless default when only --out is given
+export function presetForExtension(ext) {
+  switch (String(ext).toLowerCase().replace(/^\./, '')) {
+    case 'mov': return 'master';
+    case 'webm': return 'webm';
+    case 'gif': return 'gif';
+    case 'webp': return 'webp';
+    case 'png': case '': return 'png';
+    default: return 'youtube';
+  }
+}
+
+/**
+ * Merge a preset with user overrides ({ crf, bitrate, pixFmt, audioCodec, audioBitrate }; empty = keep).
+ * overrides.ext is the output file's extension when known (the CLI's --out) and must match the codec's container.
+ * overrides.wasm limits pixel formats to what the in-browser ffmpeg.wasm build can encode.
+ * Returns a full spec: { name, codec, ext, mime, crf, bitrate, pixFmt, audioCodec, audioBitrate, ... }.
+ * Throws on combinations ffmpeg would reject (e.g. PCM audio in MP4, rgb24 H.264).
+ */
+export function resolvePreset(name, overrides = {}) {
+  const base = EXPORT_PRESETS[name];
+  if (!base) throw new Error(`Unknown export preset "${name}" (${Object.keys(EXPORT_PRESETS).join(', ')})`);
+  const spec = { name, ...base };
+  for (const k of ['crf', 'bitrate', 'pixFmt', 'audioCodec', 'audioBitrate']) {
+    const v = overrides[k];
+    if (v === undefined || v === null || v === '') continue;
+    spec[k] = k === 'crf' ? +v : String(v);
+  }
+  // an explicit CRF means constant quality, so drop the preset's target bitrate
+  if (overrides.crf != null && overrides.crf !== '' && !overrides.bitrate) delete spec.bitrate;
+  const codec = CODECS[spec.codec];
+  if (!codec.audio || !AUDIO_CODECS.includes(spec.audioCodec)) spec.audioCodec = codec.audio ? 'aac' : 'none';
+  if (spec.codec === 'vp9' && spec.audioCodec === 'aac') spec.audioCodec = 'opus'; // WebM can't hold AAC
+  const ok = ALLOWED[spec.codec];
+  const label = `${spec.codec} (.${codec.ext})`;
+  if (!ok.audio.includes(spec.audioCodec)) throw new Error(`Audio codec ${spec.audioCodec} does not work with ${label}; use ${ok.audio.join(', ')}`);
+  if (ok.pixFmt && spec.pixFmt && !ok.pixFmt.includes(spec.pixFmt)) throw new Error(`Pixel format ${spec.pixFmt} does not work with ${label}; use ${ok.pixFmt.join(', ')}`);
+  const wasmPix = overrides.wasm && WASM_PIX_FMT[spec.codec];
+  if (wasmPix && spec.pixFmt && !wasmPix.includes(spec.pixFmt)) throw new Error(`Pixel format ${spec.pixFmt} needs the native CLI; in the browser ${label} supports ${wasmPix.join(', ')}`);
+  const ext = String(overrides.ext || '').toLowerCase().replace(/^\./, '');
+  if (ext && ext !== codec.ext) throw new Error(`Preset "${name}" writes .${codec.ext}, not .${ext}; change the output name or pick another preset`);
+  return { ...spec, ext: codec.ext, mime: codec.mime };
+}
+
+const even = 'pad=ceil(iw/2)*2:ceil(ih/2)*2';
+
+/**
+ * ffmpeg output arguments (after all inputs, before the output name).
+ * opts: { fps, hasAudio, speed } — speed is the x264 preset ('veryfast' suits wasm, 'medium' native).
+ */
+export function outputArgs(spec, { fps = 60, hasAudio = false, speed = 'medium' } = {}) {
+  const rate = Math.min(fps, spec.fps || fps);
+  const args = [];
+  switch (spec.codec) {
+    case 'h264':
+      args.push('-vf', even, '-c:v', 'libx264', '-preset', speed);
+      if (spec.bitrate) args.push('-b:v', spec.bitrate, '-maxrate', spec.bitrate, '-bufsize', spec.bitrate);
+      else args.push('-crf', String(spec.crf ?? 18));
+      args.push('-pix_fmt', spec.pixFmt || 'yuv420p', '-movflags', '+faststart');
+      break;
+    case 'mpeg4':
+      args.push('-vf', even, '-c:v', 'mpeg4');
+      if (spec.bitrate) args.push('-b:v', spec.bitrate); else args.push('-q:v', String(spec.crf ?? 3));
+      args.push('-pix_fmt', spec.pixFmt || 'yuv420p', '-movflags', '+faststart');
+      break;
+    case 'vp9':
+      args.push('-vf', even, '-c:v', 'libvpx-vp9', '-row-mt', '1', '-crf', String(spec.crf ?? 30), '-b:v', spec.bitrate || '0', '-pix_fmt', spec.pixFmt || 'yuv420p');
+      break;
+    case 'prores':
+      args.push('-vf', even, '-c:v', 'prores_ks', '-profile:v', String(spec.profile ?? 3), '-vendor', 'apl0', '-pix_fmt', spec.pixFmt || 'yuv422p10le');
+      break;
+    case 'gif':
+      args.push('-vf', `fps=${rate},scale=${spec.width || 480}:-1:flags=lanczos,split[a][b];[a]palettegen[p];[b][p]paletteuse`, '-loop', '0');
+      break;
+    case 'webp':
+      args.push('-vf', `fps=${rate},scale=${spec.width || 640}:-1:flags=lanczos`, '-c:v', 'libwebp', '-lossless', '0', '-q:v', String(spec.crf ?? 75), '-loop', '0');
+      break;
+    case 'png':
+      args.push('-c:v', 'png', '-pix_fmt', spec.pixFmt || 'rgb24', '-f', 'image2');
+      break;
+  }
+  if (spec.codec !== 'gif' && spec.codec !== 'webp') args.push('-r', String(rate));
+
+  if (!hasAudio || spec.audioCodec === 'none') args.push('-an');
+  else if (spec.audioCodec === 'opus') args.push('-c:a', 'libopus', '-b:a', spec.audioBitrate || '192k');
+  else if (spec.audioCodec === 'aac') args.push('-c:a', 'aac', '-b:a', spec.audioBitrate || '192k');
+  else args.push('-c:a', spec.audioCodec);
+  return args;
+}
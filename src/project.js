@@ -0,0 +1,128 @@
+// Versioned project file (JSON scene description). Pure data in/out so both the UI (main.js)
+// and the headless CLI can read the same file.
+import { normalizeKeyframes } from './timeline.js';
+import { normalizeRoutes } from './modmatrix.js';
+import { EXPORT_PRESETS } from './presets.js';
+import { normalizeCues, normalizeOverlay } from './cues.js';
+import { normalizeTransition } from './morph.js';
+import { normalizeCamera } from './camera.js';
+
+// Song sections as edited in the UI: [{ start, end, label }]
+function normalizeSections(list) {
+  if (!Array.isArray(list)) return [];
+  return list
+    .filter(s => s && Number.isFinite(+s.start) && Number.isFinite(+s.end) && +s.end > +s.start)
+    .map(s => ({ start: +s.start, end: +s.end, label: String(s.label || 'section') }))
+    .sort((a, b) => a.start - b.start);
+}
+
+export const PROJECT_FORMAT = 'coopernoise-project';
+export const PROJECT_VERSION = 1;
+
+const SHAPES = ['cycle', 'sphere', 'icosa', 'torus', 'plane', 'box'];
+const SOURCES = ['uploaded', 'procedural'];
+
+const num = (v, d, min = -Infinity, max = Infinity) => {
+  const n = +v;
+  return Number.isFinite(n) ? Math.max(min, Math.min(max, n)) : d;
+};
+const str = (v, d) => (typeof v === 'string' && v.length ? v : d);
+
+/**
+ * Build a project object from getParams()-style settings plus the bits that don't live in params.
+ * extra: { prompt, style, timeline, modRoutes, sections, track, overlay, cues, transition, camera, assets: { map, disp, logo, models } }
+ */
+export function serializeProject(p, { prompt = '', style = null, timeline = [], modRoutes = [], sections = [], track = null, overlay = {}, cues = [], transition = {}, camera = {}, assets = {} } = {}) {
+  return {
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    seed: String(p.seed),
+    duration: p.duration,
+    useTrackLen: !!p.useTrackLen,
+    inOffset: p.inOffset,
+    outOffset: p.outOffset,
+    loop: !!p.loop,
+    resolution: { w: p.w, h: p.h },
+    fps: p.fps,
+    audio: { source: p.audioSource, track, bpm: p.bpm, scale: p.scaleName, root: p.root, progression: p.progression || 'auto', prerender: p.prerender !== false, bands: p.bands },
+    prompt,
+    style: style ? { ...style } : null,
+    timeline: normalizeKeyframes(timeline),
+    modRoutes: normalizeRoutes(modRoutes),
+    sections: normalizeSections(sections),
+    shape: p.shape,
+    transition: normalizeTransition(transition),
+    camera: normalizeCamera(camera),
+    overlay: { ...normalizeOverlay(overlay), cues: normalizeCues(cues) },
+    assets: { map: assets.map || null, disp: assets.disp || null, logo: assets.logo || null, models: normalizeModels(assets.models) },
+    export: { preset: p.preset, crf: p.crf ?? null, bitrate: p.bitrate || null, pixFmt: p.pixFmt || null, audioCodec: p.audioCodec || null, audioBitrate: p.audioBitrate || null }
+  };
+}
+
+/**
+ * Validate and normalize a parsed project (object or JSON text). Missing fields fall back to
+ * the UI defaults; unknown fields are ignored. Throws on foreign or newer files.
+ */
+export function parseProject(input) {
+  const o = typeof input === 'string' ? JSON.parse(input) : input;
+  if (!o || typeof o !== 'object') throw new Error('Project file is not a JSON object.');
+  if (o.format !== PROJECT_FORMAT) throw new Error('Not a coopernoise project file.');
+  const version = num(o.version, 0);
+  if (version < 1 || version > PROJECT_VERSION) throw new Error(`Unsupported project version ${o.version} (this build reads up to ${PROJECT_VERSION}).`);
+
+  const res = o.resolution || {};
+  const audio = o.audio || {};
+  const assets = o.assets || {};
+  return {
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    seed: o.seed !== undefined && o.seed !== '' ? String(o.seed) : '123456',
+    duration: num(o.duration, 60, 3, 3600),
+    useTrackLen: !!o.useTrackLen,
+    inOffset: num(o.inOffset, 0, 0),
+    outOffset: num(o.outOffset, 0, 0),
+    loop: !!o.loop,
+    resolution: { w: Math.round(num(res.w, 1920, 16, 8192)), h: Math.round(num(res.h, 1080, 16, 8192)) },
+    fps: Math.round(num(o.fps, 60, 24, 120)),
+    audio: {
+      source: SOURCES.includes(audio.source) ? audio.source : 'uploaded',
+      track: str(audio.track, null),
+      bpm: Math.round(num(audio.bpm, 112, 60, 200)),
+      scale: str(audio.scale, 'minor'),
+      root: str(audio.root, 'C2'),
+      progression: str(audio.progression, 'auto'),
+      prerender: audio.prerender !== false,
+      bands: Math.round(num(audio.bands, 3, 1, 32))
+    },
+    prompt: typeof o.prompt === 'string' ? o.prompt : '',
+    style: o.style && typeof o.style === 'object' ? { ...o.style } : null,
+    timeline: normalizeKeyframes(o.timeline),
+    modRoutes: normalizeRoutes(o.modRoutes),
+    sections: normalizeSections(o.sections),
+    // imported models are shapes too ('model:<file name>', see models.js)
+    shape: SHAPES.includes(o.shape) || /^model:./.test(o.shape) ? o.shape : 'cycle',
+    // files from before transitions swapped shapes in one frame; keep them rendering that way
+    transition: o.transition ? normalizeTransition(o.transition) : { ...normalizeTransition(), mode: 'cut' },
+    camera: normalizeCamera(o.camera || {}),
+    overlay: { ...normalizeOverlay(o.overlay || {}), cues: normalizeCues(o.overlay?.cues) },
+    assets: { map: str(assets.map, null), disp: str(assets.disp, null), logo: str(assets.logo, null), models: normalizeModels(assets.models) },
+    export: parseExport(o.export || {})
+  };
+}
+
+// Imported models: [{ name, subdivide }] — subdivide 'auto' or a level 0..3
+function normalizeModels(list) {
+  if (!Array.isArray(list)) return [];
+  return list
+    .filter(m => m && typeof m.name === 'string' && m.name)
+    .map(m => ({ name: m.name, subdivide: ['0', '1', '2', '3'].includes(String(m.subdivide)) ? String(m.subdivide) : 'auto' }));
+}
+
+// Export preset plus overrides (null = preset default). Files from before presets only stored a
+// container: mp4 / mov were converted recordings, webm / auto the native one.
+function parseExport(e) {
+  const legacy = { mp4: 'compat', mov: 'master' }[e.container] || 'auto';
+  const preset = typeof e.preset === 'string' && (e.preset === 'auto' || EXPORT_PRESETS[e.preset]) ? e.preset : legacy;
+  const crf = e.crf === null || e.crf === undefined || e.crf === '' ? null : num(e.crf, null, 0, 100);
+  return { preset, crf, bitrate: str(e.bitrate, null), pixFmt: str(e.pixFmt, null), audioCodec: str(e.audioCodec, null), audioBitrate: str(e.audioBitrate, null) };
+}
@@ -1,56 +1,330 @@
-// Simple keyword → parameter mapping for style guidance
-export function interpretPrompt(input) {
-  const p = (input || '').toLowerCase();
-
-  const style = {
-    hue: 0.66,            // base hue (0..1)
-    saturation: 0.5,
-    lightness: 0.58,
-    emissive: 0.6,
-    noiseScale: 0.55,
-    displaceAmp: 0.85,
-    rotateBase: 0.12,
-    cameraDrift: 1.0,
-    audioReact: 0.35,
-    wireframe: false,
-    toon: false,
-    kaleidoscope: false,
-    shapeBias: null,      // 'sphere' | 'icosa' | 'torus' | 'plane' | 'box' | null
+// Prompt → style. The prompt is tokenized and matched word by word (never by substring, so "boxy"
+// is not "box"), with:
+//   negation     not / no / without / non  → the next term is switched off (or reversed for ±terms)
+//   intensity    slightly / very / extremely …, or a weight suffix "bloom:1.5"
+//   numbers      "displacement 1.3", "hue 200" (degrees), or field=value ("lut=vintage", "bloomThreshold=0.4")
+//   colors       names and #hex codes; several colors blend (weighted, the short way round the hue wheel)
+// parsePrompt() also reports which words were recognized and which were ignored.
+import { POST_DEFAULTS, LUTS } from './post.js';
+import { LAYER_DEFAULTS, BACKGROUNDS, SATELLITE_SHAPES } from './layers.js';
+
+export const BASE_STYLE = {
+  hue: 0.66,            // base hue (0..1)
+  saturation: 0.5,
+  lightness: 0.58,
+  emissive: 0.6,
+  noiseScale: 0.55,
+  displaceAmp: 0.85,
+  rotateBase: 0.12,
+  cameraDrift: 1.0,
+  audioReact: 0.35,
+  wireframe: false,
+  toon: false,
+  kaleidoscope: false,
+  shapeBias: null,      // 'sphere' | 'icosa' | 'torus' | 'plane' | 'box' | null
+  bandMap: null,        // { field: { band: 'low'|'mid'|'high', amount } } — see Visuals._applyBands
+  eventReact: 1.0,      // how strongly music events (kicks, chords, lead notes) move the scene
+  ...POST_DEFAULTS,     // bloom, kaleidoSegments, chroma, trails, vignette, grain, lut… — see post.js
+  ...LAYER_DEFAULTS     // satellites, particles, background… — see layers.js
+};
+
+// field=value for the non-numeric, non-boolean fields: which values they take
+const CHOICES = {
+  shapeBias: (v) => v === null || ['sphere', 'icosa', 'torus', 'plane', 'box'].includes(v) || /^model:./.test(v),
+  lut: (v) => !!LUTS[v],
+  background: (v) => BACKGROUNDS.includes(v),
+  satelliteShape: (v) => SATELLITE_SHAPES.includes(v)
+};
+
+// Operations a term applies; k = intensity (1 = as written), neg = negated
+const set = (field, value) => ({ op: 'set', field, value });   // blend from the base value towards `value`
+const atLeast = (field, value) => ({ op: 'max', field, value }); // like set, but never lowers the field
+const mul = (field, factor) => ({ op: 'mul', field, factor });  // factor^k; negation divides
+const add = (field, delta) => ({ op: 'add', field, delta });    // delta·k; negation subtracts
+const route = (field, band, amount) => ({ op: 'route', field, band, amount });
+
+// Colors: hue (0..1), optionally saturation / lightness
+const COLORS = {
+  red: { h: 0.02 }, crimson: { h: 0.97 }, orange: { h: 0.08 }, amber: { h: 0.11 }, gold: { h: 0.13, s: 0.7 }, golden: { h: 0.13, s: 0.7 },
+  yellow: { h: 0.16 }, lime: { h: 0.25 }, green: { h: 0.35 }, emerald: { h: 0.4 }, teal: { h: 0.5 }, cyan: { h: 0.52 }, aqua: { h: 0.5 },
+  turquoise: { h: 0.48 }, blue: { h: 0.6 }, azure: { h: 0.58 }, indigo: { h: 0.7 }, purple: { h: 0.75 }, violet: { h: 0.78 },
+  magenta: { h: 0.85 }, pink: { h: 0.9, l: 0.68 }, rose: { h: 0.95 }
+};
+
+// Vocabulary: one entry per term; `words` are exact tokens or space-separated phrases
+const TERMS = [
+  // vibe
+  { words: ['neon'], ops: [set('emissive', 1.0), set('saturation', 0.8)] },
+  { words: ['glassy', 'glass'], ops: [set('lightness', 0.7), add('emissive', 0.2)] },
+  { words: ['dark', 'noir'], ops: [set('lightness', 0.4), mul('emissive', 0.7)] },
+  { words: ['bright'], ops: [set('lightness', 0.7)] },
+  { words: ['pastel'], ops: [set('saturation', 0.35), set('lightness', 0.72)] },
+  { words: ['vivid', 'saturated'], ops: [set('saturation', 0.85)] },
+  { words: ['muted', 'desaturated'], ops: [set('saturation', 0.25)] },
+  // geometry / animation
+  { words: ['wireframe', 'wire'], ops: [set('wireframe', true)] },
+  { words: ['toon', 'cel'], ops: [set('toon', true)] },
+  { words: ['kaleido', 'kaleidoscope', 'kaleidoscopic'], ops: [set('kaleidoscope', true)] },
+  { words: ['organic', 'liquid'], ops: [set('noiseScale', 0.45), set('displaceAmp', 1.0)] },
+  { words: ['fracture', 'fractured', 'crystal', 'crystalline'], ops: [set('noiseScale', 0.85), set('displaceAmp', 0.7)] },
+  { words: ['smooth', 'calm'], ops: [mul('displaceAmp', 0.6), mul('noiseScale', 0.8)] },
+  { words: ['low displacement'], ops: [mul('displaceAmp', 0.6)] },
+  { words: ['high displacement'], ops: [mul('displaceAmp', 1.4)] },
+  { words: ['slow camera'], ops: [set('cameraDrift', 0.6)] },
+  { words: ['fast camera'], ops: [set('cameraDrift', 1.5)] },
+  { words: ['spin', 'spinning'], ops: [mul('rotateBase', 2)] },
+  { words: ['still', 'static'], ops: [mul('rotateBase', 0.3), mul('cameraDrift', 0.4)] },
+  // post-processing
+  { words: ['bloom', 'glow', 'glowing'], ops: [set('bloom', 0.9)] },
+  { words: ['dreamy', 'haze', 'hazy'], ops: [atLeast('bloom', 0.7), set('bloomThreshold', 0.5), set('trails', 0.6)] },
+  { words: ['trails', 'feedback', 'echo'], ops: [set('trails', 0.85)] },
+  { words: ['chromatic', 'aberration', 'glitch', 'glitchy'], ops: [set('chroma', 0.6)] },
+  { words: ['grain', 'grainy', 'film'], ops: [set('grain', 0.35)] },
+  { words: ['vignette'], ops: [set('vignette', 0.6)] },
+  { words: ['cinematic'], ops: [atLeast('vignette', 0.45), set('lut', 'teal-orange')] },
+  { words: ['vintage', 'retro'], ops: [set('lut', 'vintage'), atLeast('grain', 0.25), atLeast('vignette', 0.4)] },
+  { words: ['warm'], ops: [set('lut', 'warm')] },
+  { words: ['cool', 'cold'], ops: [set('lut', 'cool')] },
+  { words: ['bleach', 'bleached'], ops: [set('lut', 'bleach')] },
+  { words: ['monochrome', 'mono', 'black and white', 'b&w', 'grayscale', 'greyscale'], ops: [set('lut', 'mono')] },
+  { words: ['punchy'], ops: [set('postReact', 1.0)] },
+  // scene layers
+  { words: ['satellites', 'satellite', 'orbit', 'orbiting', 'orbits', 'moons'], ops: [atLeast('satellites', 12)] },
+  { words: ['swarm'], ops: [atLeast('satellites', 40), set('satelliteSize', 0.12)] },
+  { words: ['particles', 'dust', 'sparks', 'embers'], ops: [atLeast('particles', 0.6)] },
+  { words: ['explosive', 'explode', 'burst', 'bursting'], ops: [atLeast('particles', 0.5), set('particleBurst', 1.4)] },
+  { words: ['stars', 'starfield', 'starry', 'space', 'cosmic'], ops: [set('background', 'stars')] },
+  { words: ['gradient'], ops: [set('background', 'gradient')] },
+  { words: ['nebula', 'sky', 'clouds', 'cloudy'], ops: [set('background', 'noise')] },
+  // multi-band reactivity
+  { words: ['bass', 'bassy'], ops: [route('displaceAmp', 'low', 0.8)] },
+  { words: ['shimmer', 'shimmering', 'sparkle', 'sparkly'], ops: [route('emissive', 'high', 0.7), route('hue', 'high', 0.06)] },
+  { words: ['vocal', 'vocals'], ops: [route('lightness', 'mid', 0.12)] },
+  { words: ['more reactive', 'reactive'], ops: [mul('audioReact', 1.5)] },
+  { words: ['less reactive'], ops: [mul('audioReact', 0.6)] },
+  // shapes
+  ...['sphere', 'icosa', 'torus', 'plane', 'box'].map(s => ({ words: [s], ops: [set('shapeBias', s)] })),
+  { words: ['cube'], ops: [set('shapeBias', 'box')] },
+  { words: ['donut', 'knot'], ops: [set('shapeBias', 'torus')] },
+  { words: ['icosahedron', 'crystal ball'], ops: [set('shapeBias', 'icosa')] }
+];
+
+// "displacement 1.3" — numeric aliases; `scale` converts the spoken unit
+const NUMERIC = {
+  // hue: a 0..1 turn, or degrees when outside it (wrapped, so -20 is 340°)
+  hue: { field: 'hue', scale: (v) => (v < 0 || v > 1 ? (((v % 360) + 360) % 360) / 360 : v) },
+  saturation: { field: 'saturation' }, sat: { field: 'saturation' },
+  lightness: { field: 'lightness' }, brightness: { field: 'lightness' },
+  emissive: { field: 'emissive' }, emission: { field: 'emissive' },
+  noise: { field: 'noiseScale' }, displacement: { field: 'displaceAmp' }, displace: { field: 'displaceAmp' },
+  rotation: { field: 'rotateBase' }, rotate: { field: 'rotateBase' },
+  drift: { field: 'cameraDrift' }, camera: { field: 'cameraDrift' },
+  reactivity: { field: 'audioReact' }, react: { field: 'audioReact' },
+  bloom: { field: 'bloom' }, threshold: { field: 'bloomThreshold' }, trails: { field: 'trails' },
+  chroma: { field: 'chroma' }, grain: { field: 'grain' }, vignette: { field: 'vignette' },
+  segments: { field: 'kaleidoSegments', scale: (v) => Math.max(2, Math.min(24, Math.round(v))) },
+  satellites: { field: 'satellites' }, moons: { field: 'satellites' }, particles: { field: 'particles' },
+  orbit: { field: 'satelliteOrbit' }
+};
+
+const INTENSITY = {
+  barely: 0.25, slightly: 0.5, somewhat: 0.6, mildly: 0.5, subtle: 0.5, subtly: 0.5, little: 0.5, bit: 0.5, lightly: 0.5,
+  very: 1.5, really: 1.5, super: 1.6, extra: 1.6, heavy: 1.6, heavily: 1.6, strong: 1.5, strongly: 1.5, extremely: 2, ultra: 2, insanely: 2.2
+};
+const NEGATORS = new Set(['not', 'no', 'without', 'non', 'never', 'nothing']);
+const STOPWORDS = new Set(['a', 'an', 'the', 'and', 'with', 'of', 'in', 'on', 'to', 'for', 'but', 'or', 'some', 'lots', 'lot', 'more', 'less', 'style', 'look', 'feel', 'vibe', 'vibes', 'colors', 'colours', 'color', 'colour', 'tones', 'tone', 'at', 'is', 'it']);
+
+const PHRASES = new Map();
+for (const term of TERMS) for (const w of term.words) PHRASES.set(w, term);
+const MAX_PHRASE = Math.max(...TERMS.flatMap(t => t.words.map(w => w.split(' ').length)));
+
+const isNum = (s) => /^-?\d+(?:\.\d+)?$/.test(s);
+const clamp01 = (x) => Math.max(0, Math.min(1, x));
+const wrap = (h) => ((h % 1) + 1) % 1;
+
+// #rgb / #rrggbb → { h, s, l } (0..1)
+export function hexToHsl(hex) {
+  let m = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(hex);
+  if (!m) return null;
+  let v = m[1];
+  if (v.length === 3) v = v.split('').map(c => c + c).join('');
+  const [r, g, b] = [0, 2, 4].map(i => parseInt(v.slice(i, i + 2), 16) / 255);
+  const max = Math.max(r, g, b), min = Math.min(r, g, b), l = (max + min) / 2;
+  if (max === min) return { h: 0, s: 0, l };
+  const d = max - min;
+  const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+  const h = max === r ? (g - b) / d + (g < b ? 6 : 0) : max === g ? (b - r) / d + 2 : (r - g) / d + 4;
+  return { h: h / 6, s, l };
+}
+
+function tokenize(input) {
+  return String(input || '').toLowerCase()
+    .replace(/[(),;!?"]/g, ' ')
+    .split(/\s+/)
+    .map(t => t.replace(/^[.:]+|[.:]+$/g, ''))
+    .filter(Boolean);
+}
+
+function applyOp(style, o, k, neg) {
+  const base = BASE_STYLE[o.field];
+  const cur = style[o.field];
+  switch (o.op) {
+    case 'set':
+    case 'max':
+      if (typeof o.value !== 'number') {
+        // switches and names: negation turns off only what this term would turn on
+        if (!neg) style[o.field] = o.value;
+        else if (cur === o.value || typeof o.value === 'boolean') style[o.field] = typeof o.value === 'boolean' ? false : base;
+        return;
+      }
+      if (neg) { style[o.field] = base; return; }
+      {
+        const v = base + (o.value - base) * k;
+        style[o.field] = o.op === 'max' ? Math.max(cur, v) : v;
+      }
+      return;
+    case 'mul': style[o.field] = cur * Math.pow(o.factor, neg ? -k : k); return;
+    case 'add': style[o.field] = cur + o.delta * k * (neg ? -1 : 1); return;
+    case 'route': {
+      const map = { ...(style.bandMap || {}) };
+      if (neg) delete map[o.field];
+      else map[o.field] = { band: o.band, amount: o.amount * k };
+      style.bandMap = Object.keys(map).length ? map : null;
+    }
+  }
+}
+
+/**
+ * Parse a prompt → { style, recognized: [{ text, weight, negated }], ignored: [word] }.
+ * Unknown words are ignored (and listed); the base style fills everything the prompt doesn't touch.
+ */
+export function parsePrompt(input) {
+  const style = { ...BASE_STYLE };
+  const tokens = tokenize(input);
+  const recognized = [], ignored = [];
+  const colors = []; // { h, s, l, w }
+  let weight = 1, neg = false;
+  const note = (text, extra = {}) => {
+    recognized.push({ text, weight, negated: neg, ...extra });
+    weight = 1; neg = false;
   };
 
-  const has = (k) => p.includes(k);
-
-  // Color & vibe
-  if (has('purple') || has('violet')) style.hue = 0.75;
-  if (has('blue')) style.hue = 0.6;
-  if (has('teal')) style.hue = 0.5;
-  if (has('green')) style.hue = 0.35;
-  if (has('red')) style.hue = 0.02;
-  if (has('neon')) { style.emissive = 1.0; style.saturation = 0.8; }
-  if (has('glassy') || has('glass')) { style.lightness = 0.7; style.emissive += 0.2; }
-  if (has('dark') || has('noir')) { style.lightness = 0.4; style.emissive *= 0.7; }
-
-  // Geometry/animation
-  if (has('wireframe')) style.wireframe = true;
-  if (has('toon')) style.toon = true;
-  if (has('kaleido') || has('kaleidoscope')) style.kaleidoscope = true;
-
-  if (has('organic') || has('liquid')) { style.noiseScale = 0.45; style.displaceAmp = 1.0; }
-  if (has('fracture') || has('crystal')) { style.noiseScale = 0.85; style.displaceAmp = 0.7; }
-  if (has('low displacement')) style.displaceAmp *= 0.6;
-  if (has('high displacement')) style.displaceAmp *= 1.4;
-
-  if (has('slow camera')) style.cameraDrift = 0.6;
-  if (has('fast camera')) style.cameraDrift = 1.5;
-
-  if (has('more reactive')) style.audioReact *= 1.5;
-  if (has('less reactive')) style.audioReact *= 0.6;
-
-  if (has('sphere')) style.shapeBias = 'sphere';
-  if (has('icosa')) style.shapeBias = 'icosa';
-  if (has('torus')) style.shapeBias = 'torus';
-  if (has('plane')) style.shapeBias = 'plane';
-  if (has('box')) style.shapeBias = 'box';
-
-  return style;
+  for (let i = 0; i < tokens.length; i++) {
+    const tok = tokens[i];
+
+    // modifiers carry over to the next recognized term
+    if (NEGATORS.has(tok)) { neg = !neg; continue; }
+    if (INTENSITY[tok]) { weight *= INTENSITY[tok]; continue; }
+    if (tok.startsWith('non-')) { neg = true; tokens[i] = tok.slice(4); i--; continue; }
+
+    // field=value (any style field, case-insensitive)
+    const kv = /^([a-z]\w*)=(.+)$/.exec(tok);
+    if (kv) {
+      const field = Object.keys(BASE_STYLE).find(f => f.toLowerCase() === kv[1]) || NUMERIC[kv[1]]?.field;
+      if (!field) { ignored.push(tok); continue; }
+      const raw = kv[2];
+      let v = raw === 'true' ? true : raw === 'false' ? false : raw === 'null' ? null : isNum(raw) ? +raw : raw;
+      if (typeof v === 'number' && NUMERIC[kv[1]]?.scale) v = NUMERIC[kv[1]].scale(v);
+      if (field === 'hue' && typeof v === 'number') v = wrap(v);
+      // the value must have the field's type (numbers for numeric fields, true/false for switches)
+      const base = typeof BASE_STYLE[field];
+      const valid = base === 'number' || base === 'boolean' ? typeof v === base : CHOICES[field] ? CHOICES[field](v) : v === null;
+      if (!valid) { ignored.push(tok); continue; }
+      style[field] = v;
+      note(`${field}=${v}`);
+      continue;
+    }
+
+    // "N-way" / "N-fold" kaleidoscope segments
+    let seg = /^(\d+)-?(?:way|fold|segments?)$/.exec(tok);
+    if (!seg && /^\d+$/.test(tok) && /^(?:way|fold|segments?)$/.test(tokens[i + 1] || '')) { seg = [tok, tok]; i++; }
+    if (seg) {
+      style.kaleidoSegments = Math.max(2, Math.min(24, +seg[1]));
+      note(`${style.kaleidoSegments}-way`);
+      continue;
+    }
+
+    // hex colors
+    if (/^#[0-9a-f]{3}(?:[0-9a-f]{3})?$/.test(tok)) {
+      const c = hexToHsl(tok);
+      if (!neg) colors.push({ ...c, w: weight });
+      note(tok, { color: true });
+      continue;
+    }
+
+    // "word:1.5" weight suffix
+    let word = tok;
+    const wm = /^(.+?):(\d+(?:\.\d+)?)$/.exec(tok);
+    if (wm) { word = wm[1]; weight *= +wm[2]; }
+
+    // numeric alias followed by a number: "hue 200", "displacement 1.3"
+    if (NUMERIC[word] && isNum(tokens[i + 1] || '')) {
+      const { field, scale } = NUMERIC[word];
+      let v = +tokens[++i];
+      if (scale) v = scale(v);
+      style[field] = field === 'hue' ? wrap(v) : v;
+      note(`${word} ${tokens[i]}`);
+      continue;
+    }
+
+    // named colors
+    if (COLORS[word]) {
+      const c = COLORS[word];
+      if (!neg) colors.push({ h: c.h, s: c.s ?? null, l: c.l ?? null, w: weight });
+      note(word, { color: true });
+      continue;
+    }
+
+    // vocabulary, longest phrase first
+    let matched = false;
+    for (let n = Math.min(MAX_PHRASE, tokens.length - i); n >= 1 && !matched; n--) {
+      const phrase = n === 1 ? word : tokens.slice(i, i + n).join(' ');
+      const term = PHRASES.get(phrase);
+      if (!term) continue;
+      for (const o of term.ops) applyOp(style, o, weight, neg);
+      note(phrase);
+      i += n - 1;
+      matched = true;
+    }
+    if (matched) continue;
+
+    if (!STOPWORDS.has(word) && !isNum(word)) ignored.push(tok);
+    if (!STOPWORDS.has(word)) { weight = 1; neg = false; }
+  }
+
+  // several colors blend: weighted circular mean of hues; saturation/lightness where a color sets them
+  if (colors.length) {
+    let x = 0, y = 0, w = 0, s = 0, sw = 0, l = 0, lw = 0;
+    for (const c of colors) {
+      x += Math.cos(2 * Math.PI * c.h) * c.w; y += Math.sin(2 * Math.PI * c.h) * c.w; w += c.w;
+      if (c.s !== null && c.s !== undefined) { s += c.s * c.w; sw += c.w; }
+      if (c.l !== null && c.l !== undefined) { l += c.l * c.w; lw += c.w; }
+    }
+    if (w > 0 && (x || y)) style.hue = wrap(Math.atan2(y, x) / (2 * Math.PI));
+    if (sw) style.saturation = s / sw;
+    // keep hex lightness in a range the lighting can show
+    if (lw) style.lightness = Math.max(0.25, Math.min(0.8, l / lw));
+  }
+
+  if (typeof style.satellites === 'number') style.satellites = Math.max(0, Math.min(64, Math.round(style.satellites)));
+  for (const f of ['saturation', 'lightness', 'bloom', 'bloomThreshold', 'trails', 'chroma', 'grain', 'vignette', 'lutAmount', 'particles']) {
+    if (typeof style[f] === 'number') style[f] = clamp01(style[f]);
+  }
+  for (const f of ['emissive', 'noiseScale', 'displaceAmp', 'rotateBase', 'cameraDrift', 'audioReact', 'eventReact', 'postReact', 'satelliteOrbit', 'satelliteSize', 'particleBurst', 'bgIntensity']) {
+    if (typeof style[f] === 'number') style[f] = Math.max(0, style[f]);
+  }
+  return { style, recognized, ignored };
+}
+
+export function interpretPrompt(input) {
+  return parsePrompt(input).style;
+}
+
+// One-line summary for the UI: "bloom ×1.5 · not red · hue 200 — ignored: boxy"
+export function describePrompt({ recognized, ignored }) {
+  const terms = recognized.map(r => `${r.negated ? 'not ' : ''}${r.text}${r.weight !== 1 ? ` ×${+r.weight.toFixed(2)}` : ''}`);
+  const parts = [];
+  parts.push(terms.length ? terms.join(' · ') : 'nothing recognized');
+  if (ignored.length) parts.push(`ignored: ${ignored.join(', ')}`);
+  return parts.join(' — ');
 }
@@ -33,16 +33,18 @@ export class AVRecorder {
     return ''; // let MediaRecorder decide
   }
 
-  start({ mimeHint = 'auto', fps = 60, onData } = {}) {
+  // bitrate: MediaRecorder video bits per second (export presets pick it per target)
+  start({ mimeHint = 'auto', fps = 60, bitrate = 14_000_000, onData } = {}) {
     this.chunks = [];
     const stream = this.createMixedStream({ fps });
     const mimeType = AVRecorder.pickMime(mimeHint);
-    this.recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: 14_000_000 });
+    this.recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: bitrate });
     this.recorder.ondataavailable = (e) => { if (e.data && e.data.size) { this.chunks.push(e.data); onData && onData(e.data); } };
     this.recorder.start();
   }
 
-  stop({ filename = 'take.webm' } = {}) {
+  // download: false keeps the blob for conversion instead of saving the raw recording
+  stop({ filename = 'take.webm', download = true } = {}) {
     return new Promise((resolve) => {
       if (!this.recorder) return resolve(null);
       this.recorder.onstop = () => {
@@ -50,6 +52,7 @@ export class AVRecorder {
         const ext = mime.includes('mp4') ? 'mp4' : 'webm';
         const blob = new Blob(this.chunks, { type: mime });
         this.lastBlob = blob;
+        if (!download) return resolve(blob);
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a'); a.href = url; a.download = filename.endsWith(ext) ? filename : `${filename.replace(/\.\w+$/, '')}.${ext}`; a.click();
         setTimeout(() => URL.revokeObjectURL(url), 5000);
@@ -0,0 +1,61 @@
+// Preview-only safe-area guides drawn on a 2D canvas laid over the visuals canvas.
+// It lives outside the WebGL canvas, so recordings (captureStream) and offline renders never include it.
+//   action safe 93% / title safe 90% (broadcast convention), plus the zones short-form apps cover with
+//   their own UI (caption and buttons) when the frame is vertical.
+export const VERTICAL_UI = { top: 0.12, bottom: 0.2, right: 0.13 };
+
+export class SafeArea {
+  constructor(container) {
+    this.canvas = document.createElement('canvas');
+    Object.assign(this.canvas.style, { position: 'absolute', zIndex: 1, pointerEvents: 'none', display: 'none' });
+    container.appendChild(this.canvas);
+    this.visible = false;
+    this.aspect = 16 / 9;
+  }
+
+  setVisible(on) {
+    this.visible = !!on;
+    this.canvas.style.display = this.visible ? 'block' : 'none';
+  }
+
+  // rect: the displayed output rectangle (Visuals.getViewRect); aspect: output width / height
+  update(rect, aspect) {
+    this.aspect = aspect;
+    Object.assign(this.canvas.style, { left: `${rect.left}px`, top: `${rect.top}px`, width: `${rect.width}px`, height: `${rect.height}px` });
+    const dpr = window.devicePixelRatio || 1;
+    this.canvas.width = Math.max(1, Math.round(rect.width * dpr));
+    this.canvas.height = Math.max(1, Math.round(rect.height * dpr));
+    this._draw(dpr);
+  }
+
+  _draw(dpr) {
+    const ctx = this.canvas.getContext('2d');
+    const w = this.canvas.width, h = this.canvas.height;
+    ctx.clearRect(0, 0, w, h);
+    ctx.lineWidth = dpr;
+    const inset = (f, color, dash) => {
+      const dx = w * (1 - f) / 2, dy = h * (1 - f) / 2;
+      ctx.strokeStyle = color;
+      ctx.setLineDash(dash.map(d => d * dpr));
+      ctx.strokeRect(dx + 0.5, dy + 0.5, w - 2 * dx - 1, h - 2 * dy - 1);
+    };
+    inset(0.93, 'rgba(255,255,255,0.35)', []);
+    inset(0.9, 'rgba(167,112,255,0.6)', [6, 4]);
+
+    // centre cross
+    ctx.setLineDash([]);
+    ctx.strokeStyle = 'rgba(255,255,255,0.25)';
+    const c = 10 * dpr;
+    ctx.beginPath();
+    ctx.moveTo(w / 2 - c, h / 2); ctx.lineTo(w / 2 + c, h / 2);
+    ctx.moveTo(w / 2, h / 2 - c); ctx.lineTo(w / 2, h / 2 + c);
+    ctx.stroke();
+
+    if (this.aspect < 0.8) {
+      ctx.fillStyle = 'rgba(255,80,80,0.12)';
+      ctx.fillRect(0, 0, w, h * VERTICAL_UI.top);
+      ctx.fillRect(0, h * (1 - VERTICAL_UI.bottom), w, h * VERTICAL_UI.bottom);
+      ctx.fillRect(w * (1 - VERTICAL_UI.right), h * VERTICAL_UI.top, w * VERTICAL_UI.right, h * (1 - VERTICAL_UI.top - VERTICAL_UI.bottom));
+    }
+  }
+}
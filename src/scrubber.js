@@ -0,0 +1,131 @@
+// Waveform scrubber: draws the analysis RMS envelope with draggable in/out handles and a playhead.
+// Region values are track seconds; onChange({ start, end }) fires while dragging.
+const HANDLE_PX = 6;
+
+export class Scrubber {
+  constructor(canvas, { onChange } = {}) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    this.onChange = onChange;
+    this.analysis = null;
+    this.duration = 0;
+    this.start = 0;
+    this.end = 0;
+    this.playhead = null;
+    this._drag = null;
+    this._wave = null;   // offscreen waveform, rebuilt per analysis and canvas size
+    this._playX = null;  // playhead pixel last drawn
+
+    canvas.addEventListener('pointerdown', (e) => this._down(e));
+    canvas.addEventListener('pointermove', (e) => this._move(e));
+    canvas.addEventListener('pointerup', (e) => this._up(e));
+    canvas.addEventListener('pointercancel', (e) => this._up(e));
+  }
+
+  setAnalysis(analysis) {
+    this.analysis = analysis;
+    this.duration = analysis ? analysis.duration : 0;
+    this._wave = null;
+    this.draw();
+  }
+
+  setRegion(start, end) {
+    this.start = Math.max(0, Math.min(start, this.duration));
+    this.end = Math.max(this.start, Math.min(end, this.duration));
+    this.draw();
+  }
+
+  // Called every animation frame; redraws only when the playhead reaches another pixel.
+  setPlayhead(t) {
+    this.playhead = t;
+    if (this._playheadX() === this._playX) return;
+    this.draw();
+  }
+
+  _playheadX() { return this.playhead !== null && this.playhead >= 0 ? Math.round(this._x(this.playhead)) : null; }
+
+  _x(t) { return this.duration ? (t / this.duration) * this.canvas.width : 0; }
+  _t(clientX) {
+    const r = this.canvas.getBoundingClientRect();
+    const x = (clientX - r.left) * (this.canvas.width / r.width);
+    return Math.max(0, Math.min(this.duration, (x / this.canvas.width) * this.duration));
+  }
+
+  _down(e) {
+    if (!this.duration) return;
+    const t = this._t(e.clientX);
+    const px = Math.abs(this._x(t) - this._x(this.start)), qx = Math.abs(this._x(t) - this._x(this.end));
+    // grab the nearest handle; clicks away from both move the closer one there
+    this._drag = px <= qx ? 'start' : 'end';
+    if (Math.min(px, qx) > HANDLE_PX) this._set(t);
+    this.canvas.setPointerCapture(e.pointerId);
+  }
+
+  _move(e) { if (this._drag) this._set(this._t(e.clientX)); }
+
+  _up(e) {
+    if (!this._drag) return;
+    this._drag = null;
+    try { this.canvas.releasePointerCapture(e.pointerId); } catch {}
+  }
+
+  _set(t) {
+    if (this._drag === 'start') this.start = Math.min(t, this.end - 0.1);
+    else this.end = Math.max(t, this.start + 0.1);
+    this.start = Math.max(0, this.start);
+    this.end = Math.min(this.duration, this.end);
+    this.draw();
+    this.onChange && this.onChange({ start: this.start, end: this.end });
+  }
+
+  draw() {
+    const { ctx, canvas } = this;
+    const w = canvas.width, h = canvas.height;
+    ctx.clearRect(0, 0, w, h);
+    const rms = this.analysis?.rms;
+    if (!rms || !rms.length) {
+      ctx.fillStyle = 'rgba(160,163,177,0.6)';
+      ctx.font = '11px system-ui, sans-serif';
+      ctx.fillText('load a track to see its waveform', 8, h / 2 + 4);
+      return;
+    }
+
+    ctx.drawImage(this._waveform(w, h), 0, 0);
+
+    // dim outside the region, then handles and playhead
+    const xs = this._x(this.start), xe = this._x(this.end);
+    ctx.fillStyle = 'rgba(11,11,16,0.65)';
+    ctx.fillRect(0, 0, xs, h);
+    ctx.fillRect(xe, 0, w - xe, h);
+    ctx.fillStyle = '#e8e8f0';
+    ctx.fillRect(xs - 1, 0, 2, h);
+    ctx.fillRect(xe - 1, 0, 2, h);
+    ctx.fillRect(xs - 1, 0, HANDLE_PX, 6);
+    ctx.fillRect(xe - HANDLE_PX + 1, h - 6, HANDLE_PX, 6);
+    this._playX = this._playheadX();
+    if (this._playX !== null) {
+      ctx.fillStyle = '#66e0ff';
+      ctx.fillRect(this._playX, 0, 1, h);
+    }
+  }
+
+  // The RMS envelope scaled to its peak; only the overlays above are redrawn per frame.
+  _waveform(w, h) {
+    if (this._wave && this._wave.width === w && this._wave.height === h) return this._wave;
+    const rms = this.analysis.rms;
+    const wave = document.createElement('canvas');
+    wave.width = w; wave.height = h;
+    const ctx = wave.getContext('2d');
+    let peak = 1e-9;
+    for (let i = 0; i < rms.length; i++) if (rms[i] > peak) peak = rms[i];
+    ctx.fillStyle = 'rgba(167,112,255,0.55)';
+    for (let x = 0; x < w; x++) {
+      const a = Math.floor((x / w) * rms.length), b = Math.max(a + 1, Math.floor(((x + 1) / w) * rms.length));
+      let v = 0;
+      for (let i = a; i < b && i < rms.length; i++) v = Math.max(v, rms[i]);
+      const bar = (v / peak) * (h - 4);
+      ctx.fillRect(x, (h - bar) / 2, 1, bar);
+    }
+    return (this._wave = wave);
+  }
+}
@@ -0,0 +1,164 @@
+// Style automation: keyframes (time in seconds or bar number → partial style) evaluated per frame.
+// Each style field is its own track. The base style acts as the value at t=0, and a keyframe's
+// curve shapes the segment that arrives at it. Numbers blend (hue the short way round the wheel);
+// booleans and strings such as shapeBias switch exactly at their keyframe.
+export const CURVES = {
+  linear: (x) => x,
+  ease: (x) => x * x * (3 - 2 * x),
+  step: () => 0
+};
+
+// ∫₀ᵘ curve(x) dx, for integrating a segment in closed form
+const CURVE_AREA = {
+  linear: (u) => u * u / 2,
+  ease: (u) => u * u * u - u * u * u * u / 2,
+  step: () => 0
+};
+
+const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+
+function lerpHue(a, b, k) {
+  let d = (b - a) % 1;
+  if (d > 0.5) d -= 1;
+  if (d < -0.5) d += 1;
+  return a + d * k;
+}
+
+/**
+ * Normalize raw keyframes: { t } seconds or { bar } (bars count from 1, like a DAW),
+ * curve: 'linear' | 'ease' | 'step', style: partial style.
+ */
+export function normalizeKeyframes(keys) {
+  if (!Array.isArray(keys)) return [];
+  return keys
+    .filter(k => k && k.style && typeof k.style === 'object' && (isNum(+k.t) || isNum(+k.bar)))
+    .map(k => ({
+      ...(isNum(+k.bar) && k.t === undefined ? { bar: Math.max(1, +k.bar) } : { t: Math.max(0, +k.t) }),
+      curve: CURVES[k.curve] ? k.curve : 'linear',
+      style: { ...k.style }
+    }));
+}
+
+/**
+ * Parse the UI's one-keyframe-per-line text format:
+ *   12.5s ease hue=0.02 displaceAmp=1.3
+ *   bar 17 step wireframe=true shapeBias=torus
+ * Blank lines and lines starting with # are skipped. Throws with the offending line number.
+ */
+export function parseKeyframes(text) {
+  const keys = [];
+  const lines = String(text || '').split('\n');
+  lines.forEach((raw, n) => {
+    const line = raw.trim();
+    if (!line || line.startsWith('#')) return;
+    const tok = line.split(/\s+/);
+    const key = { curve: 'linear', style: {} };
+    let i = 0;
+    const bar = /^bar(\d+(?:\.\d+)?)?$/i.exec(tok[0]);
+    if (bar) { key.bar = parseFloat(bar[1] ?? tok[++i]); i++; }
+    else { key.t = parseFloat(tok[i++]); }
+    if (!isNum(key.bar ?? key.t)) throw new Error(`Timeline line ${n + 1}: expected "12.5s" or "bar 17"`);
+    for (; i < tok.length; i++) {
+      if (CURVES[tok[i]]) { key.curve = tok[i]; continue; }
+      const kv = /^(\w+)=(.+)$/.exec(tok[i]);
+      if (!kv) throw new Error(`Timeline line ${n + 1}: cannot read "${tok[i]}"`);
+      const v = kv[2];
+      key.style[kv[1]] = v === 'true' ? true : v === 'false' ? false : v === 'null' ? null : isNum(+v) ? +v : v;
+    }
+    keys.push(key);
+  });
+  return normalizeKeyframes(keys);
+}
+
+export function formatKeyframes(keys) {
+  return normalizeKeyframes(keys).map(k => {
+    const at = k.bar !== undefined ? `bar ${k.bar}` : `${k.t}s`;
+    const fields = Object.entries(k.style).map(([f, v]) => `${f}=${v}`);
+    return [at, k.curve, ...fields].join(' ');
+  }).join('\n');
+}
+
+// Bar n (from 1) → seconds; past the last tracked bar, continue at barSeconds per bar.
+export function barToTime(bar, barSeconds, barTimes) {
+  if (!barTimes || !barTimes.length) return (bar - 1) * barSeconds;
+  const i = bar - 1;
+  if (i <= barTimes.length - 1) {
+    const k = Math.floor(i), f = i - k;
+    const next = k + 1 < barTimes.length ? barTimes[k + 1] : barTimes[k] + barSeconds;
+    return barTimes[k] + (next - barTimes[k]) * f;
+  }
+  return barTimes[barTimes.length - 1] + (i - (barTimes.length - 1)) * barSeconds;
+}
+
+export class StyleTimeline {
+  constructor(keys = []) {
+    this.setKeys(keys);
+  }
+
+  setKeys(keys) {
+    this.keys = normalizeKeyframes(keys);
+    this._barSeconds = null;
+    this._tracks = null;
+  }
+
+  get empty() { return this.keys.length === 0; }
+
+  // Per-field sorted [{ t, v, curve }]; rebuilt when the bar grid changes.
+  _build(barSeconds, barTimes) {
+    if (this._tracks && this._barSeconds === barSeconds && this._barTimes === barTimes) return this._tracks;
+    const tracks = {};
+    for (const k of this.keys) {
+      const t = k.bar !== undefined ? barToTime(k.bar, barSeconds, barTimes) : k.t;
+      for (const [f, v] of Object.entries(k.style)) (tracks[f] ||= []).push({ t, v, curve: k.curve });
+    }
+    for (const f in tracks) tracks[f].sort((a, b) => a.t - b.t);
+    this._barSeconds = barSeconds;
+    this._barTimes = barTimes;
+    return (this._tracks = tracks);
+  }
+
+  /**
+   * Style fields at time t, starting from `base` (the applied prompt style).
+   * Bar keyframes use the tracked bar start times when given, else a fixed barSeconds grid.
+   */
+  evaluate(t, base, barSeconds = 2.0, barTimes = null) {
+    const tracks = this._build(barSeconds, barTimes);
+    const out = {};
+    for (const f in tracks) {
+      const tr = tracks[f];
+      let i = 0;
+      while (i < tr.length && tr[i].t <= t) i++;
+      const prev = i > 0 ? tr[i - 1] : { t: 0, v: base[f] };
+      const next = tr[i];
+      let v = prev.v;
+      if (next && isNum(prev.v) && isNum(next.v)) {
+        const span = next.t - prev.t;
+        const k = span > 0 ? CURVES[next.curve](Math.min(1, Math.max(0, (t - prev.t) / span))) : 0;
+        v = f === 'hue' ? lerpHue(prev.v, next.v, k) : prev.v + (next.v - prev.v) * k;
+      }
+      if (v !== undefined) out[f] = v;
+    }
+    return out;
+  }
+
+  /**
+   * ∫₀ᵗ of numeric field f as evaluate() returns it, in closed form: phases driven by an automated
+   * rate (camera drift, rotation) stay a pure function of t however the frames are sampled.
+   */
+  integrate(f, t, base, barSeconds = 2.0, barTimes = null) {
+    const tr = this._build(barSeconds, barTimes)[f] || [];
+    const v0 = isNum(base[f]) ? base[f] : 0;
+    let sum = 0, prev = { t: 0, v: v0 };
+    for (const next of tr) {
+      if (prev.t >= t) break;
+      const end = Math.min(t, next.t), d = end - prev.t;
+      if (d > 0) {
+        const span = next.t - prev.t;
+        sum += isNum(next.v) && isNum(prev.v) ? d * prev.v + (next.v - prev.v) * span * CURVE_AREA[next.curve](d / span) : d * prev.v;
+      }
+      if (isNum(next.v)) prev = next; else prev = { t: next.t, v: prev.v };
+    }
+    if (t > prev.t) sum += (t - prev.t) * prev.v;
+    return sum;
+  }
+}
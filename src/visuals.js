@@ -1,8 +1,62 @@
 import * as THREE from 'https://unpkg.com/three@0.160.0/build/three.module.js';
 import { Perlin, map, clamp, mulberry32 } from './noise.js';
+import { StyleTimeline } from './timeline.js';
+import { ModMatrix } from './modmatrix.js';
+import { sectionAt } from './analyze.js';
+import { createNoiseUniforms, syncPermutation, installDisplacement } from './gpunoise.js';
+import { PostFX, POST_DEFAULTS } from './post.js';
+import { TextOverlay } from './overlay.js';
+import { SceneLayers, LAYER_DEFAULTS } from './layers.js';
+import { normalizeTransition, resampleToSphere, isStarShaped, easeInOut, easeOutBack } from './morph.js';
+import { CameraRig } from './camera.js';
+
+// Per-section style multipliers layered over the applied style when song sections are known
+const SECTION_STYLE = {
+  intro: { displaceAmp: 0.7, emissive: 0.8, rotateBase: 0.8 },
+  build: { displaceAmp: 0.9, emissive: 1.0, rotateBase: 1.1 },
+  drop: { displaceAmp: 1.25, emissive: 1.3, rotateBase: 1.5, audioReact: 1.3 },
+  breakdown: { displaceAmp: 0.6, emissive: 0.7, rotateBase: 0.6, cameraDrift: 0.7 },
+  outro: { displaceAmp: 0.7, emissive: 0.75, rotateBase: 0.8 }
+};
+
+// The scene was tuned for 16:9 with a 60° vertical FOV. Narrower frames first widen the FOV (up to
+// MAX_FOV), then pull the camera back, so the horizontal view never gets tighter than that vertical one.
+const BASE_FOV = 60, MAX_FOV = 75;
+// Longest an offline frame waits for the video texture to seek
+const SEEK_TIMEOUT_MS = 10000;
+// Style fields read as speeds and integrated into a phase (see _phase); band routing doesn't reach them
+const PHASE_FIELDS = ['cameraDrift', 'rotateBase'];
+// Rotation in radians per second per unit of rotateBase, and the audio level's smoothing time constant
+// (both match the old per-frame steps at 60 fps)
+const ROT_RATE = { x: 0.54, y: 0.96 };
+const LEVEL_TAU = 0.1;
+
+// Signed shortest step from a to b on a 0..1 wheel
+function lerpHueDelta(a, b) {
+  let d = (b - a) % 1;
+  if (d > 0.5) d -= 1;
+  if (d < -0.5) d += 1;
+  return d;
+}
+
+// computeVertexNormals() treats coincident vertices separately, which leaves a crease along
+// geometry.userData.seams (see _morphGeometry); give each group their averaged normal
+function weldNormals(g) {
+  const seams = g.userData.seams;
+  if (!seams) return;
+  const n = g.attributes.normal.array;
+  for (const group of seams) {
+    let x = 0, y = 0, z = 0;
+    for (const v of group) { x += n[v * 3]; y += n[v * 3 + 1]; z += n[v * 3 + 2]; }
+    const l = Math.hypot(x, y, z) || 1;
+    for (const v of group) { n[v * 3] = x / l; n[v * 3 + 1] = y / l; n[v * 3 + 2] = z / l; }
+  }
+  g.attributes.normal.needsUpdate = true;
+}
 
 export class Visuals {
-  constructor({ container, seed = 123456 }) {
+  // gpuNoise: true/false forces the displacement path; null picks the GPU shader whenever WebGL2 is available
+  constructor({ container, seed = 123456, gpuNoise = null }) {
     this.container = container;
     this.width = window.innerWidth;
     this.height = window.innerHeight;
@@ -14,24 +68,50 @@ export class Visuals {
     this.scene.background = new THREE.Color(0x08080c);
     this.scene.fog = new THREE.Fog(0x060608, 12, 64);
 
-    this.camera = new THREE.PerspectiveCamera(60, this.width/this.height, 0.1, 1000);
+    this.camera = new THREE.PerspectiveCamera(BASE_FOV, this.width/this.height, 0.1, 1000);
     this.camera.position.set(0, 0, 8);
+    this.frameScale = 1;     // camera distance multiplier that keeps the mesh framed in narrow outputs
+    this.renderSize = null;  // fixed output size from setRenderSize; null = follow the window
+    this._frameCamera(BASE_FOV);
+    this.cameraRig = new CameraRig();
 
     this.renderer = new THREE.WebGLRenderer({ antialias: true, preserveDrawingBuffer: true });
     this.renderer.setPixelRatio(Math.min(2, window.devicePixelRatio || 1));
     this.renderer.setSize(this.width, this.height);
     container.appendChild(this.renderer.domElement);
 
+    // fBm displacement runs in the vertex shader when possible (see gpunoise.js), else per vertex on the CPU
+    this.gpuNoise = gpuNoise === null ? this.renderer.capabilities.isWebGL2 : !!gpuNoise && this.renderer.capabilities.isWebGL2;
+    this.noiseUniforms = createNoiseUniforms();
+    syncPermutation(this.noiseUniforms, this.perlin);
+
+    // Screen-space effects (bloom, kaleidoscope, trails, grading…) driven by the post fields of the style
+    this.post = new PostFX(this.renderer);
+    this.post.setSeed(this.perlin._seed);
+    this._fx = null;
+    // Titles, lyrics and logo on top of everything (see overlay.js)
+    this.overlay = new TextOverlay(this.renderer);
+
     // Lighting
     this.amb = new THREE.AmbientLight(0xffffff, 0.3);
     this.key = new THREE.PointLight(0x9f88ff, 1.2, 100); this.key.position.set(6, 8, 6);
     this.rim = new THREE.PointLight(0x66e0ff, 0.9, 100); this.rim.position.set(-7, -5, -3);
     this.scene.add(this.amb, this.key, this.rim);
 
+    // Satellites, particle field and sky around the primary mesh, switched by style fields (see layers.js)
+    this.layers = new SceneLayers(this.scene);
+    this.layers.setSeed(this.perlin._seed);
+
     // Defaults
     this.mesh = null;
     this.shape = 'sphere';
-    this.style = { hue:0.66, saturation:0.5, lightness:0.58, emissive:0.6, noiseScale:0.55, displaceAmp:0.85, rotateBase:0.12, cameraDrift:1.0, audioReact:0.35, wireframe:false, toon:false, kaleidoscope:false, shapeBias:null };
+    this.models = new Map(); // imported shapes (see models.js): shape key → normalized geometry
+    // Shape changes (auto-cycle, #shape, shapeBias) go through a timed transition (see morph.js)
+    this.transition = normalizeTransition();
+    this._trans = null;
+    this._morphCache = new Map(); // shape key → { star, pos }: positions resampled onto the morph sphere (star-shaped only)
+    this._morphSphere = null;
+    this.style = { hue:0.66, saturation:0.5, lightness:0.58, emissive:0.6, noiseScale:0.55, displaceAmp:0.85, rotateBase:0.12, cameraDrift:1.0, audioReact:0.35, wireframe:false, toon:false, kaleidoscope:false, shapeBias:null, bandMap:null, eventReact:1.0, ...POST_DEFAULTS, ...LAYER_DEFAULTS };
 
     // Materials
     this.material = this._createMaterial();
@@ -46,6 +126,22 @@ export class Visuals {
     this.timeScale = 0.25;
     this.bgHue = this.style.hue;
 
+    // Style automation (keyframes evaluated per frame on top of this.style)
+    this.timeline = null;
+    this._switched = {};
+    this._lastT = null;
+    this._phaseOffset = {}; // per PHASE_FIELDS entry: keeps a phase continuous across style/timeline/section changes
+
+    // User-editable modulation routes (see modmatrix.js)
+    this.mods = new ModMatrix();
+
+    // Song sections [{ start, end, label }]; when set, auto-cycle fires at their boundaries
+    this.sections = null;
+
+    // Music events (see events.js): kick → scale pulse, chord → hue by degree, lead note → key light position
+    this.events = null;
+    this._resetEvents();
+
     window.addEventListener('resize', () => this._onResize());
   }
 
@@ -64,16 +160,18 @@ export class Visuals {
       mat.roughness = 0.85;
       mat.metalness = 0.1;
     }
+    if (this.gpuNoise) installDisplacement(mat, this.noiseUniforms);
     return mat;
   }
 
   applyStyle(style) {
-    this.style = { ...this.style, ...style };
+    this._keepPhases(() => { this.style = { ...this.style, ...style }; });
     // rebuild material to apply wireframe/toon cleanly
     const old = this.material;
     this.material = this._createMaterial();
     if (old) { old.dispose?.(); }
     if (this.mesh) this.mesh.material = this.material;
+    this._switched = {};
     if (style.shapeBias) this.setShape(style.shapeBias);
     this.bgHue = this.style.hue;
     // apply existing textures
@@ -85,26 +183,324 @@ export class Visuals {
 
   setSeed(seed) {
     this.perlin.setSeed(seed);
+    syncPermutation(this.noiseUniforms, this.perlin);
+    this.post.setSeed(this.perlin._seed);
+    this.layers.setSeed(this.perlin._seed);
     this.rand = mulberry32((typeof seed === 'string') ? this.perlin._hashString(seed) : seed);
   }
 
+  // Return all per-run state (smoothing, rotation, shape schedule, RNG) to a known start,
+  // so a run from t=0 with the same inputs reproduces the same frames.
+  reset({ seed, shape = 'sphere' } = {}) {
+    if (seed !== undefined) this.setSeed(seed);
+    this.level = 0;
+    this._nextShapeAt = null;
+    this._lastT = null;
+    this._phaseOffset = {};
+    this._switched = {};
+    this.mods.reset();
+    this.post.reset();
+    this.layers.reset();
+    this._fx = null;
+    this._resetEvents();
+    this._endTransition(false);
+    this._buildMesh(shape === 'cycle' ? 'sphere' : shape);
+    this.mesh.rotation.set(0, 0, 0);
+  }
+
+  // Camera mode, beat cuts, shake and keyframes (see camera.js)
+  setCamera(settings) {
+    this.cameraRig.set(settings || {});
+  }
+
+  // keys: see timeline.js — [{ t | bar, curve, style }]; empty/null clears automation.
+  setTimeline(keys) {
+    this._keepPhases(() => { this.timeline = keys && keys.length ? new StyleTimeline(keys) : null; });
+    // put back whatever the previous timeline switched away from the applied style
+    if (this.material) this._applySwitches(this.style);
+    this._switched = {};
+  }
+
+  // Style for this frame: the applied style plus whatever the timeline says at t.
+  // Switch-type fields (wireframe, toon, shapeBias) are pushed to the material/mesh only when they change.
+  _styleAt(t) {
+    if (!this.timeline) return this.style;
+    const style = { ...this.style, ...this.timeline.evaluate(t, this.style, this._barSeconds || 2.0, this._barTimes) };
+    this._applySwitches(style);
+    return style;
+  }
+
+  _applySwitches(style) {
+    const sw = this._switched;
+    if (sw.wireframe !== style.wireframe) { this.material.wireframe = !!style.wireframe; sw.wireframe = style.wireframe; }
+    if (sw.toon !== style.toon) {
+      this.material.roughness = style.toon ? 0.85 : 0.35;
+      this.material.metalness = style.toon ? 0.1 : 0.45;
+      sw.toon = style.toon;
+    }
+    if (sw.shapeBias !== style.shapeBias) {
+      // the base shapeBias was already applied by applyStyle(); only follow the timeline's changes
+      const changed = sw.shapeBias !== undefined || style.shapeBias !== this.style.shapeBias;
+      if (changed && style.shapeBias) this.setShape(style.shapeBias);
+      sw.shapeBias = style.shapeBias;
+    }
+  }
+
+  setModRoutes(routes) { this.mods.setRoutes(routes); }
+
+  // source: { between(t0, t1) } from events.js, or null
+  setEventSource(source) { this.events = source; this._resetEvents(); }
+
+  // { settings, cues, logo } — any subset; see overlay.js
+  setOverlay(opts) { this.overlay.set(opts); }
+
+  _resetEvents() {
+    this._evT = null;
+    this._kickEnv = 0;
+    this._snareEnv = 0;
+    this._chordHue = 0;
+    this._chordHueTarget = 0;
+    this._noteAngle = Math.PI / 4;
+    this._noteAngleTarget = Math.PI / 4;
+    this._noteY = 8;
+    this._noteYTarget = 8;
+  }
+
+  // Consume the events since the previous frame and advance the envelopes by the frame's dt
+  _applyEvents(t) {
+    const dt = this._evT === null || t < this._evT ? 0 : t - this._evT;
+    const evs = this.events && this._evT !== null && t > this._evT ? this.events.between(this._evT, t) : [];
+    this._evT = t;
+    this._kickEnv *= Math.exp(-dt / 0.18);
+    this._snareEnv *= Math.exp(-dt / 0.12);
+    for (const e of evs) {
+      if (e.type === 'kick') { this._kickEnv = Math.max(this._kickEnv, e.vel); this.layers.burst(e.t, e.vel); }
+      else if (e.type === 'hit') { this._kickEnv = Math.max(this._kickEnv, 0.6 * e.vel); this.layers.burst(e.t, 0.6 * e.vel); }
+      else if (e.type === 'snare') this._snareEnv = Math.max(this._snareEnv, e.vel);
+      else if (e.type === 'chord') this._chordHueTarget = 0.12 * ((((e.degree % 7) + 7) % 7) / 7);
+      else if (e.type === 'note') {
+        // pitch class → angle around the object, register → height
+        this._noteAngleTarget = ((e.midi % 12) / 12) * Math.PI * 2;
+        this._noteYTarget = map(clamp(e.midi, 48, 84), 48, 84, -6, 9);
+      }
+    }
+    const ease = (tau) => 1 - Math.exp(-dt / tau);
+    this._chordHue += lerpHueDelta(this._chordHue, this._chordHueTarget) * ease(0.5);
+    this._noteAngle += lerpHueDelta(this._noteAngle / (Math.PI * 2), this._noteAngleTarget / (Math.PI * 2)) * Math.PI * 2 * ease(0.25);
+    this._noteY += (this._noteYTarget - this._noteY) * ease(0.25);
+  }
+
+  // style.bandMap routes band levels onto numeric style fields: { field: { band, amount } }
+  // adds amount × level, e.g. { displaceAmp: { band: 'low', amount: 0.8 } }.
+  _applyBands(style, bands) {
+    const map = style.bandMap;
+    if (!map || !bands) return style;
+    const out = { ...style };
+    for (const [field, r] of Object.entries(map)) {
+      if (PHASE_FIELDS.includes(field)) continue;
+      const lv = bands[r && r.band];
+      if (typeof out[field] === 'number' && Number.isFinite(lv)) out[field] += (+r.amount || 0) * lv;
+    }
+    return out;
+  }
+
+  // While running, shape changes use the transition (optionally waiting for the next downbeat);
+  // before the first frame they apply at once.
   setShape(shape) {
     if (shape === 'cycle') return;
-    if (shape === this.shape) return;
-    this._buildMesh(shape);
+    if (shape === (this._trans ? this._trans.to : this.shape)) return;
+    if (this._lastT === null) { this._endTransition(); this._buildMesh(shape); return; }
+    this._startTransition(shape, this._lastT, this.transition.downbeat);
+  }
+
+  // { mode, beats, downbeat } — see morph.js
+  setTransition(opts) { this.transition = normalizeTransition(opts); }
+
+  // Imported models join the shape list (and the auto-cycle pool) under their shape key
+  addModel(shape, geometry) {
+    const old = this.models.get(shape);
+    this.models.set(shape, geometry);
+    this._morphCache.delete(shape);
+    if (old && old !== geometry) old.dispose();
+    if (this.shape === shape || this._trans?.to === shape) { this._endTransition(false); this._buildMesh(shape); }
+  }
+
+  removeModel(shape) {
+    const g = this.models.get(shape);
+    if (!g) return;
+    this.models.delete(shape);
+    this._morphCache.delete(shape);
+    g.dispose();
+    if (this.shape === shape || this._trans?.to === shape) { this._endTransition(false); this._buildMesh('sphere'); }
+  }
+
+  _startTransition(to, t, onDownbeat) {
+    this._endTransition();
+    const { mode, beats } = this.transition;
+    if (mode === 'cut') { this._buildMesh(to); return; }
+    const t0 = onDownbeat ? this._nextDownbeat(t) : t;
+    this._trans = { to, mode, t0, dur: beats * (this._barSeconds || 2.0) / 4, started: false, k: 0 };
+  }
+
+  _nextDownbeat(t) {
+    const next = this._barTimes?.find(b => b >= t - 1e-6);
+    if (next !== undefined) return next;
+    const bar = this._barSeconds || 2.0;
+    return Math.ceil(t / bar - 1e-6) * bar;
+  }
+
+  // First frame at or after t0: set up the meshes the mode needs
+  _beginTransition(tr) {
+    tr.started = true;
+    if (tr.mode === 'morph') {
+      const a = this._morphTargets(this.shape), b = this._morphTargets(tr.to);
+      if (a.star && b.star) {
+        tr.a = a.pos;
+        tr.b = b.pos;
+        this.shape = tr.to;
+        this._setMesh(this._morphGeometry().clone());
+        this.basePositions.set(tr.a);
+        return;
+      }
+      // the sphere resample can't hold this shape (it would pop in and out at the ends); crossfade instead
+      tr.mode = 'dissolve';
+    }
+    // dissolve / collapse: the old mesh stays up next to the new one
+    tr.out = { mesh: this.mesh, base: this.basePositions };
+    this.shape = tr.to;
+    this._setMesh(this._shapeGeometry(tr.to), true);
+    if (tr.mode === 'dissolve') {
+      tr.out.mesh.material = tr.fade = this._createMaterial();
+      Object.assign(tr.fade, { transparent: true, depthWrite: false });
+    }
+  }
+
+  // Advance the running transition to t (progress is a pure function of t)
+  _stepTransition(t) {
+    const tr = this._trans;
+    if (!tr || t < tr.t0) return;
+    if (!tr.started) this._beginTransition(tr);
+    const p = Math.min(1, (t - tr.t0) / Math.max(1e-3, tr.dur));
+    if (p >= 1) { this._endTransition(); return; }
+    tr.p = p;
+    tr.k = easeInOut(p);
+    if (tr.mode === 'morph') {
+      const base = this.basePositions, a = tr.a, b = tr.b, k = tr.k;
+      for (let i = 0; i < base.length; i++) base[i] = a[i] + (b[i] - a[i]) * k;
+      if (this.gpuNoise) {
+        // the shader displaces `position`; normals have to follow the blend
+        const g = this.mesh.geometry;
+        g.attributes.position.array.set(base);
+        g.attributes.position.needsUpdate = true;
+        g.computeVertexNormals();
+        weldNormals(g);
+      }
+    } else if (tr.mode === 'dissolve') {
+      // switching blending needs a recompile (also after applyStyle swapped in a fresh material)
+      if (!this.material.transparent) Object.assign(this.material, { transparent: true, depthWrite: false, needsUpdate: true });
+      this.material.opacity = tr.k;
+    }
+  }
+
+  // Drop a transition's extra mesh/material; `finish` puts the target shape of a running morph in place.
+  // One still waiting for its downbeat is dropped and the current shape stays.
+  _endTransition(finish = true) {
+    const tr = this._trans;
+    if (!tr) return;
+    this._trans = null;
+    if (tr.out) { this.scene.remove(tr.out.mesh); tr.out.mesh.geometry.dispose(); }
+    tr.fade?.dispose();
+    if (this.material.transparent) Object.assign(this.material, { transparent: false, depthWrite: true, opacity: 1, needsUpdate: true });
+    if (finish && tr.started && tr.mode === 'morph') this._buildMesh(tr.to);
+  }
+
+  // Mesh scale factors of the incoming and outgoing shape for the collapse mode
+  _transitionScales() {
+    const tr = this._trans;
+    if (!tr || !tr.started || tr.mode !== 'collapse') return { in: 1, out: 1 };
+    return { in: tr.p < 0.5 ? 0 : easeOutBack(2 * tr.p - 1), out: tr.p < 0.5 ? 1 - easeInOut(2 * tr.p) : 0 };
+  }
+
+  // Unit sphere every shape is resampled onto for morphing
+  _morphGeometry() {
+    if (!this._morphSphere) {
+      const W = 128, H = 96, row = W + 1;
+      const g = this._morphSphere = new THREE.SphereGeometry(1, W, H);
+      // vertices sharing a position: both ends of each row (the u seam) and each pole row
+      const seams = [Array.from({ length: row }, (_, i) => i), Array.from({ length: row }, (_, i) => H * row + i)];
+      for (let iy = 1; iy < H; iy++) seams.push([iy * row, iy * row + W]);
+      g.userData.seams = seams;
+    }
+    return this._morphSphere;
+  }
+
+  _morphTargets(shape) {
+    if (!this._morphCache.has(shape)) {
+      const g = this._shapeGeometry(shape);
+      const pos = g.attributes.position.array, index = g.index ? g.index.array : null;
+      const star = isStarShaped(pos, index);
+      const dirs = this._morphGeometry().attributes.position.array;
+      this._morphCache.set(shape, { star, pos: star ? resampleToSphere(pos, index, dirs) : null });
+      g.dispose();
+    }
+    return this._morphCache.get(shape);
   }
 
   setRenderSize(w, h) {
     this.width = w; this.height = h;
-    this.camera.aspect = w / h; this.camera.updateProjectionMatrix();
+    this.renderSize = { w, h };
+    this._frameCamera();
     this.renderer.setSize(w, h, false);
+    this.post.setSize();
+    this.overlay.setSize();
+    this._fitCanvas();
+  }
+
+  // FOV and distance for the current aspect (see BASE_FOV); baseFov is a keyed camera FOV
+  _frameCamera(baseFov = this._baseFov) {
+    this._baseFov = baseFov;
+    const aspect = this.width / this.height;
+    const base = Math.tan(THREE.MathUtils.degToRad(baseFov / 2));
+    const need = base / Math.min(1, aspect);
+    const half = Math.min(Math.atan(need), THREE.MathUtils.degToRad(Math.max(MAX_FOV, baseFov) / 2));
+    this.camera.fov = THREE.MathUtils.radToDeg(2 * half);
+    this.camera.aspect = aspect;
+    this.camera.updateProjectionMatrix();
+    this.frameScale = need / Math.tan(half);
+  }
+
+  // Preview: letterbox the fixed-size canvas into its container at the output aspect
+  _fitCanvas() {
+    if (!this.renderSize) return;
+    const el = this.renderer.domElement;
+    const cw = this.container.clientWidth || window.innerWidth, ch = this.container.clientHeight || window.innerHeight;
+    const s = Math.min(cw / this.renderSize.w, ch / this.renderSize.h);
+    const w = Math.round(this.renderSize.w * s), h = Math.round(this.renderSize.h * s);
+    Object.assign(el.style, { position: 'absolute', width: `${w}px`, height: `${h}px`, left: `${Math.round((cw - w) / 2)}px`, top: `${Math.round((ch - h) / 2)}px` });
+  }
+
+  // Displayed canvas rectangle relative to the container (for preview overlays)
+  getViewRect() {
+    const el = this.renderer.domElement;
+    return { left: el.offsetLeft, top: el.offsetTop, width: el.clientWidth, height: el.clientHeight };
   }
 
   setTextures({ mapTex=null, dispTex=null, videoTex=null } = {}) {
     this.mapTex = mapTex || this.mapTex;
     this.dispTex = dispTex || this.dispTex;
     this.videoTex = videoTex || this.videoTex;
+    this._syncTextures();
+  }
+
+  // slot: 'map' | 'disp' | 'video'
+  clearTexture(slot) {
+    if (slot === 'map') this.mapTex = null;
+    if (slot === 'disp') this.dispTex = null;
+    if (slot === 'video') { this.videoTex?.image?.pause?.(); this.videoTex = null; this._videoLocked = false; }
+    this._syncTextures();
+  }
 
+  _syncTextures() {
     if (this.material) {
       this.material.map = this.videoTex || this.mapTex || null;
       this.material.displacementMap = this.dispTex || null;
@@ -114,18 +510,29 @@ export class Visuals {
   }
 
   _buildMesh(shape) {
-    if (this.mesh) { this.scene.remove(this.mesh); this.mesh.geometry.dispose(); }
     this.shape = shape;
-    let geometry;
+    this._setMesh(this._shapeGeometry(shape));
+  }
+
+  _shapeGeometry(shape) {
+    if (this.models.has(shape)) return this.models.get(shape).clone();
     switch (shape) {
-      case 'icosa': geometry = new THREE.IcosahedronGeometry(2.2, 4); break;
-      case 'torus': geometry = new THREE.TorusKnotGeometry(1.6, 0.52, 320, 16); break;
-      case 'plane': geometry = new THREE.PlaneGeometry(7, 7, 220, 220); break;
-      case 'box': geometry = new THREE.BoxGeometry(3.2, 3.2, 3.2, 60, 60, 60); break;
+      case 'icosa': return new THREE.IcosahedronGeometry(2.2, 4);
+      case 'torus': return new THREE.TorusKnotGeometry(1.6, 0.52, 320, 16);
+      case 'plane': return new THREE.PlaneGeometry(7, 7, 220, 220);
+      case 'box': return new THREE.BoxGeometry(3.2, 3.2, 3.2, 60, 60, 60);
       case 'sphere':
-      default: geometry = new THREE.SphereGeometry(2.2, 160, 120); break;
+      default: return new THREE.SphereGeometry(2.2, 160, 120);
     }
+  }
+
+  // Swap in a new main mesh, keeping the current orientation; `keep` leaves the old one in the scene
+  _setMesh(geometry, keep = false) {
+    const old = this.mesh;
+    if (old && !keep) { this.scene.remove(old); old.geometry.dispose(); }
     this.mesh = new THREE.Mesh(geometry, this.material);
+    if (old) this.mesh.rotation.copy(old.rotation);
+    this.mesh.frustumCulled = !this.gpuNoise; // bounds don't include shader displacement
     this.scene.add(this.mesh);
     const posAttr = this.mesh.geometry.attributes.position;
     this.basePositions = new Float32Array(posAttr.array.length);
@@ -133,75 +540,232 @@ export class Visuals {
   }
 
   setBarSeconds(barSeconds) { this._barSeconds = barSeconds; }
+  // Tracked bar start times; timeline bar numbers map onto these instead of a fixed grid
+  setBarTimes(times) { this._barTimes = times && times.length ? times : null; }
   scheduleAutoShape(startTime, barSeconds) { this._scheduleNextShape(startTime, barSeconds); }
-  _scheduleNextShape(t, barSeconds) { this._nextShapeAt = t + 16 * (barSeconds || 7.5); }
+  _scheduleNextShape(t, barSeconds) {
+    if (this.sections) {
+      const next = this.sections.find(s => s.start > t + 1e-6);
+      this._nextShapeAt = next ? next.start : null;
+      return;
+    }
+    this._nextShapeAt = t + 16 * (barSeconds || 7.5);
+  }
 
-  update({ t, level = 0.0, beatPulse = 0.0, autoShape = true }) {
-    const g = this.mesh.geometry;
-    const pos = g.attributes.position.array;
-    const base = this.basePositions;
+  setSections(sections) {
+    this._keepPhases(() => { this.sections = sections && sections.length ? sections.map(s => ({ ...s })) : null; });
+    if (this._nextShapeAt) this._scheduleNextShape(this._lastT ?? 0, this._barSeconds);
+  }
+
+  _applySection(style, t) {
+    const sec = sectionAt(this.sections, t);
+    const mul = sec && SECTION_STYLE[sec.label];
+    if (!mul) return style;
+    const out = { ...style };
+    for (const [f, m] of Object.entries(mul)) if (typeof out[f] === 'number') out[f] *= m;
+    return out;
+  }
+
+  // ∫₀ᵗ of a style field through the timeline and section multipliers, in closed form, for phases that
+  // must be a pure function of t. Modulation and band routing change per frame and are left out.
+  _styleIntegral(f, t) {
+    const I = (x) => (this.timeline ? this.timeline.integrate(f, x, this.style, this._barSeconds || 2.0, this._barTimes) : x * this.style[f]);
+    const secs = this.sections;
+    if (!secs) return I(t);
+    // sectionAt(): the first section also covers the time before it, the last one the time after
+    let sum = 0, at = 0;
+    for (let i = 0; i < secs.length && at < t; i++) {
+      const end = Math.min(t, i + 1 < secs.length ? secs[i + 1].start : Infinity);
+      if (end > at) { sum += (SECTION_STYLE[secs[i].label]?.[f] ?? 1) * (I(end) - I(at)); at = end; }
+    }
+    return sum;
+  }
 
-    this.level = this.level ? this.level * 0.85 + level * 0.15 : level;
+  // Phase of a PHASE_FIELDS speed at t: the closed-form integral plus the offset that keeps it continuous
+  _phase(f, t) { return this._styleIntegral(f, t) + (this._phaseOffset[f] || 0); }
+
+  // Run a change to what _styleIntegral() integrates, re-anchoring the phases at the last frame
+  // so a running camera carries on from where it is instead of jumping
+  _keepPhases(change) {
+    const t = this._lastT;
+    const before = t === null ? null : PHASE_FIELDS.map(f => this._phase(f, t));
+    change();
+    if (before) PHASE_FIELDS.forEach((f, i) => { this._phaseOffset[f] = before[i] - this._styleIntegral(f, t); });
+  }
+
+  update({ t, level = 0.0, beatPulse = 0.0, bands = null, onset = 0.0, barPhase = null, autoShape = true }) {
+    // everything stateful advances by the elapsed time, so any fps lands on the same pose at the same t;
+    // a first frame or a jump back restarts from t
+    const restart = this._lastT === null || t < this._lastT;
+    const dt = restart ? 0 : t - this._lastT;
+    this.level = restart || !this.level ? level : this.level + (level - this.level) * (1 - Math.exp(-dt / LEVEL_TAU));
     const pulse = Math.max(beatPulse, Math.pow(clamp(this.level, 0, 1), 0.9));
 
+    // style = applied style → timeline → section → band routing → modulation matrix → music events;
+    // `scene` holds non-style targets
+    const scene = { cameraRadius: 8.0, fogNear: 12, fogFar: 64, ambLight: 0.3, keyLight: 1.2, rimLight: 0.9 };
+    const modded = this.mods.apply(this._applyBands(this._applySection(this._styleAt(t), t), bands), scene, {
+      t, level: this.level, beatPulse, onset, bands, barPhase, barSeconds: this._barSeconds, perlin: this.perlin
+    });
+    this._applyEvents(t);
+    const er = modded.eventReact;
+    const style = { ...modded, hue: modded.hue + this._chordHue * er, emissive: modded.emissive + 0.5 * this._snareEnv * er };
+    this.key.position.set(8.5 * Math.cos(this._noteAngle), this._noteY, 8.5 * Math.sin(this._noteAngle));
+    this._fx = { style, pulse, t };
+    this.amb.intensity = scene.ambLight;
+    this.key.intensity = scene.keyLight;
+    this.rim.intensity = scene.rimLight;
+    this._stepTransition(t);
+
     // hue/emit drift
     const hueShift = 0.02 * Math.sin(t * 0.07);
     const mat = this.mesh.material;
-    mat.color.setHSL(this.style.hue + hueShift, this.style.saturation, this.style.lightness + 0.05 * pulse);
-    mat.emissiveIntensity = this.style.emissive * (0.6 + 0.9 * pulse);
+    mat.color.setHSL(style.hue + hueShift, style.saturation, style.lightness + 0.05 * pulse);
+    mat.emissiveIntensity = style.emissive * (0.6 + 0.9 * pulse);
+    // the outgoing shape of a dissolve fades out with a copy of the live material
+    if (this._trans?.fade) this._trans.fade.copy(mat).opacity = 1 - this._trans.k;
 
     // background/fog
-    const bg = new THREE.Color().setHSL(this.style.hue - 0.06 + 0.04*Math.cos(t*0.05), 0.35, 0.06 + 0.02*pulse);
+    const bg = new THREE.Color().setHSL(style.hue - 0.06 + 0.04*Math.cos(t*0.05), 0.35, 0.06 + 0.02*pulse);
     this.scene.background = bg;
     this.scene.fog.color = bg;
+    this.scene.fog.near = scene.fogNear * this.frameScale;
+    this.scene.fog.far = Math.max(scene.fogNear + 0.1, scene.fogFar) * this.frameScale;
+
+    // a first frame or a jump back starts the phases from their integrals again
+    if (restart) this._phaseOffset = {};
+    this._lastT = t;
+    // camera shot from the rig (see camera.js): mode, beat cuts and keyframes, all a function of t and seed;
+    // the drift phase is ∫ cameraDrift dt, so automating cameraDrift changes speed without jumping the camera
+    const rig = {
+      perlin: this.perlin, seed: this.perlin._seed, drift: this._phase('cameraDrift', t), radius: scene.cameraRadius,
+      frameScale: this.frameScale, kaleidoscope: style.kaleidoscope, fov: BASE_FOV,
+      barSeconds: this._barSeconds || 2.0, barTimes: this._barTimes, section: sectionAt(this.sections, t)
+    };
+    let shot = this.cameraRig.at(t, rig);
+    if ((shot.fov ?? BASE_FOV) !== this._baseFov) {
+      // a keyed FOV changes the framing distance; re-evaluate so the shot never lags a frame
+      this._frameCamera(shot.fov ?? BASE_FOV);
+      shot = this.cameraRig.at(t, { ...rig, frameScale: this.frameScale });
+    }
+    this.camera.position.set(...shot.position);
+    this.camera.up.set(...shot.up);
+    this.camera.lookAt(...shot.target);
 
-    // camera drift (kaleidoscope optionally constrains to octants)
-    const k = this.style.kaleidoscope ? (x)=>Math.sign(x)*Math.pow(Math.abs(x),0.5) : (x)=>x;
-    const drift = this.style.cameraDrift;
-    const cr = 8.0 + 2.0 * this.perlin.fbm3(0.2*t*drift, 0.5, 0.7);
-    const cay = k(0.6 * this.perlin.fbm3(0.12*t*drift, 2.3, 1.1));
-    const cax = k(0.4 * this.perlin.fbm3(0.13*t*drift + 4.1, 0.9, 3.3));
-    this.camera.position.set(cr * Math.sin(cay), cax, cr * Math.cos(cay));
-    this.camera.lookAt(0,0,0);
+    // scene layers (the sky, when on, covers the flat background; fog still uses bg)
+    const pixel = this.renderer.getDrawingBufferSize(new THREE.Vector2()).y / (2 * Math.tan(THREE.MathUtils.degToRad(this.camera.fov) / 2));
+    const spin = this._phase('rotateBase', t);
+    this.layers.update({ t, style, pulse, kick: this._kickEnv * er, camera: this.camera, pixel, orbit: 0.3 * t + spin });
 
     // Vertex displacement by fBm (additional displacementMap is handled by material)
-    const freq = this.style.noiseScale;
+    const freq = style.noiseScale;
     const speed = this.timeScale;
-    const amp = this.style.displaceAmp * (0.6 + this.style.audioReact * pulse);
-    for (let i = 0; i < pos.length; i+=3) {
-      const x0 = base[i], y0 = base[i+1], z0 = base[i+2];
-      const n = this.perlin.fbm3(x0*freq + t*speed, y0*freq + 3.123, z0*freq - 1.789, 5, 2.0, 0.5);
-      const d = 1.0 + amp * n;
-      pos[i]   = x0 * d;
-      pos[i+1] = y0 * d;
-      pos[i+2] = z0 * d;
+    const amp = style.displaceAmp * (0.6 + style.audioReact * pulse);
+    if (this.gpuNoise) {
+      const u = this.noiseUniforms;
+      u.uNoiseFreq.value = freq;
+      u.uNoiseAmp.value = amp;
+      u.uNoiseTime.value = t * speed;
+    } else {
+      this._displaceCPU(this.mesh, this.basePositions, freq, amp, t * speed);
+      const out = this._trans?.out;
+      if (out && out.mesh.visible) this._displaceCPU(out.mesh, out.base, freq, amp, t * speed);
     }
-    g.attributes.position.needsUpdate = true;
-    g.computeVertexNormals();
 
-    const rot = (this.style.rotateBase + 0.2 * pulse);
-    this.mesh.rotation.y += rot * 0.016;
-    this.mesh.rotation.x += rot * 0.009;
+    const kick = 1 + 0.12 * this._kickEnv * er * (0.5 + style.audioReact);
+    const ts = this._transitionScales();
+    this.mesh.scale.setScalar(kick * Math.max(1e-3, ts.in));
+    this.mesh.visible = ts.in > 0;
+
+    // rotation is ∫ rotateBase dt (a function of t); the beat pulse nudges it ahead and lets it settle back
+    const turn = spin + 0.2 * pulse;
+    this.mesh.rotation.set(ROT_RATE.x * turn, ROT_RATE.y * turn, 0);
+    const out = this._trans?.out;
+    if (out) {
+      out.mesh.rotation.copy(this.mesh.rotation);
+      out.mesh.scale.setScalar(kick * Math.max(1e-3, ts.out));
+      out.mesh.visible = ts.out > 0;
+    }
 
     if (autoShape && this._nextShapeAt && t >= this._nextShapeAt) {
-      const shapes = ['sphere','icosa','torus','plane','box'];
+      const shapes = ['sphere','icosa','torus','plane','box', ...this.models.keys()];
       const idx = Math.floor(this.rand() * shapes.length);
-      this._buildMesh(shapes[idx]);
+      // starts at the scheduled time, not this frame's, so every fps lands on the same transition
+      if (shapes[idx] !== this.shape) this._startTransition(shapes[idx], this._nextShapeAt, false);
       this._scheduleNextShape(t, this._barSeconds || 7.5);
     }
 
     if (this.videoTex) {
+      // Live: let the video play, only pulling it back when it drifts from the render clock
+      const video = this.videoTex.image;
+      if (!this._videoLocked && video && video.duration) {
+        if (video.paused) video.play().catch(() => {});
+        const target = t % video.duration;
+        if (Math.abs(video.currentTime - target) > 0.15) video.currentTime = target;
+      }
       this.videoTex.needsUpdate = true;
     }
   }
 
-  render() { this.renderer.render(this.scene, this.camera); }
+  _displaceCPU(mesh, base, freq, amp, time) {
+    const g = mesh.geometry;
+    const pos = g.attributes.position.array;
+    for (let i = 0; i < pos.length; i+=3) {
+      const x0 = base[i], y0 = base[i+1], z0 = base[i+2];
+      const n = this.perlin.fbm3(x0*freq + time, y0*freq + 3.123, z0*freq - 1.789, 5, 2.0, 0.5);
+      const d = 1.0 + amp * n;
+      pos[i]   = x0 * d;
+      pos[i+1] = y0 * d;
+      pos[i+2] = z0 * d;
+    }
+    g.attributes.position.needsUpdate = true;
+    g.computeVertexNormals();
+    weldNormals(g);
+  }
+
+  // Offline renders: hold the video paused and seek it to exactly t (mod its length),
+  // resolving once that frame is decoded so every render sees the same picture.
+  async seekVideo(t) {
+    const video = this.videoTex?.image;
+    if (!video || !video.duration) return;
+    this._videoLocked = true;
+    video.pause();
+    const target = t % video.duration;
+    if (Math.abs(video.currentTime - target) < 1e-4 && video.readyState >= 2) return;
+    // a video that cannot decode or seek fails the render instead of stalling it
+    await new Promise((resolve, reject) => {
+      const done = (err) => {
+        clearTimeout(timer);
+        video.removeEventListener('seeked', onSeeked);
+        video.removeEventListener('error', onError);
+        if (err) reject(err); else resolve();
+      };
+      const onSeeked = () => done();
+      const onError = () => done(new Error(`Video could not seek to ${target.toFixed(3)}s: ${video.error?.message || 'decode error'}`));
+      const timer = setTimeout(() => done(new Error(`Video seek to ${target.toFixed(3)}s timed out`)), SEEK_TIMEOUT_MS);
+      video.addEventListener('seeked', onSeeked);
+      video.addEventListener('error', onError);
+      video.currentTime = target;
+    });
+  }
+
+  releaseVideo() { this._videoLocked = false; }
+
+  render() {
+    if (this._fx) this.post.render(this.scene, this.camera, this._fx);
+    else this.renderer.render(this.scene, this.camera);
+    if (this._fx && !this.overlay.empty) this.overlay.render(this._fx.t, this._fx.pulse);
+  }
 
   getCanvas() { return this.renderer.domElement; }
 
   _onResize() {
-    const w = window.innerWidth, h = window.innerHeight;
-    this.camera.aspect = w/h; this.camera.updateProjectionMatrix();
-    this.renderer.setSize(w, h);
+    // a fixed output size only needs re-letterboxing; the drawing buffer stays as is
+    if (this.renderSize) return this._fitCanvas();
+    this.width = window.innerWidth; this.height = window.innerHeight;
+    this._frameCamera();
+    this.renderer.setSize(this.width, this.height);
+    this.post.setSize();
+    this.overlay.setSize();
   }
 }
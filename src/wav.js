@@ -0,0 +1,23 @@
+// AudioBuffer → 16-bit PCM WAV Blob (interleaved, little-endian)
+export function encodeWav(buffer) {
+  const ch = buffer.numberOfChannels, n = buffer.length, sr = buffer.sampleRate;
+  const bytes = n * ch * 2;
+  const view = new DataView(new ArrayBuffer(44 + bytes));
+  const str = (o, s) => { for (let i = 0; i < s.length; i++) view.setUint8(o + i, s.charCodeAt(i)); };
+
+  str(0, 'RIFF'); view.setUint32(4, 36 + bytes, true); str(8, 'WAVE');
+  str(12, 'fmt '); view.setUint32(16, 16, true); view.setUint16(20, 1, true); view.setUint16(22, ch, true);
+  view.setUint32(24, sr, true); view.setUint32(28, sr * ch * 2, true); view.setUint16(32, ch * 2, true); view.setUint16(34, 16, true);
+  str(36, 'data'); view.setUint32(40, bytes, true);
+
+  const data = [];
+  for (let c = 0; c < ch; c++) data.push(buffer.getChannelData(c));
+  let o = 44;
+  for (let i = 0; i < n; i++) {
+    for (let c = 0; c < ch; c++, o += 2) {
+      const v = Math.max(-1, Math.min(1, data[c][i]));
+      view.setInt16(o, v < 0 ? v * 0x8000 : v * 0x7fff, true);
+    }
+  }
+  return new Blob([view], { type: 'audio/wav' });
+}